@@ -11,9 +11,19 @@ const CONFIG = {
     zoom: 15.5,
     pitch: 45,
     bearing: -17.6,
+    // Visitor area: geolocation gating, the dashed outline and the camera pull-back
     boundary: {
-      center: [5.977105864037915, 50.88774161029858],
-      radius: 2.2
+      url: null, // GeoJSON file replacing the geometry below
+      geometry: {
+        type: "Polygon",
+        coordinates: [[
+          [6.008434, 50.887742], [6.006049, 50.895356], [5.999258, 50.90181], [5.989094, 50.906123],
+          [5.977106, 50.907638], [5.965117, 50.906123], [5.954954, 50.90181], [5.948163, 50.895356],
+          [5.945778, 50.887742], [5.948163, 50.880128], [5.954954, 50.873673], [5.965117, 50.86936],
+          [5.977106, 50.867845], [5.989094, 50.86936], [5.999258, 50.873673], [6.006049, 50.880128],
+          [6.008434, 50.887742]
+        ]]
+      }
     }
   },
   MARKER_ZOOM: {
@@ -21,6 +31,36 @@ const CONFIG = {
     small: 14,
     medium: 16,
     large: 18
+  },
+  DATA: {
+    source: "dom", // "dom", "geojson" or "json"
+    url: null
+  },
+  MODELS: {
+    source: "dom", // "dom" reads #model-list, "json" fetches url
+    url: null,
+    loadDistance: 1.5, // km from the map center before a model is fetched
+    unloadDistance: 3, // km before it is removed again
+    loadZoom: 14, // minimum zoom to fetch models
+    dracoDecoderPath: "https://www.gstatic.com/draco/versioned/decoders/1.5.6/"
+  },
+  TOURS: {
+    url: null // JSON array of tours (or { tours: [...] }), merged with tourConfigs
+  },
+  ROUTING: {
+    graphUrl: null, // Absolute url of the static pedestrian graph, the route button is hidden without one
+    offRouteDistance: 0.03, // km from the route before recalculating
+    rerouteFixes: 3, // consecutive off-route positions before recalculating
+    rerouteCooldown: 15 // seconds between recalculations
+  },
+  PROXIMITY: {
+    radius: 50, // meters
+    radiusOptions: [25, 50, 100, 200],
+    cooldownMinutes: 30
+  },
+  CLUSTER: {
+    maxZoom: 14, // Highest zoom level that still clusters
+    radius: 50 // pixels
   }
 };
 
@@ -29,6 +69,8 @@ mapboxgl.accessToken = "pk.eyJ1IjoicHJvamVjdGhlZXJsZW4iLCJhIjoiY2x4eWVmcXBvMWozZ
 
 // Global state
 let activePopup = null;
+let activePopupLocation = null;
+let popupResizeHandler = null;
 let markersAdded = false;
 let modelsAdded = false;
 const mapLocations = { 
@@ -48,6 +90,595 @@ const map = new mapboxgl.Map({
   interactive: true
 });
 
+// ============= LOCALIZATION =============
+const LANGUAGES = ["nl", "en", "de"];
+const DEFAULT_LANGUAGE = "nl";
+
+const TRANSLATIONS = {
+  nl: {
+    "geolocation.denied": "Locatie toegang geweigerd. Schakel het in bij je instellingen.",
+    "geolocation.unavailable": "Locatie niet beschikbaar. Controleer je apparaat instellingen.",
+    "geolocation.timeout": "Verzoek verlopen. Probeer opnieuw.",
+    "geolocation.error": "Er is een fout opgetreden bij het ophalen van je locatie.",
+    "boundary.title": "Kom naar Heerlen",
+    "boundary.text": "Deze functie is alleen beschikbaar binnen het blauw omlijnde gebied op de kaart. Kom naar het centrum van Heerlen om de interactieve kaart te gebruiken!",
+    "boundary.button": "Ik kom er aan!",
+    "popup.close": "Sluit popup",
+    "popup.moreInfo": "Meer info",
+    "popup.impression": "Impressie",
+    "popup.instruction": "Instructie",
+    "popup.startAR": "Start AR",
+    "popup.back": "Terug",
+    "popup.step": "STAP {number}",
+    "popup.address": "ADRES",
+    "popup.contact": "CONTACT",
+    "popup.website": "WEBSITE",
+    "popup.openingHours": "OPENINGSTIJDEN",
+    "popup.notAvailable": "Niet beschikbaar",
+    "popup.nameError": "Naam error",
+    "popup.addressError": "Adres error",
+    "popup.phoneError": "Telefoonnummer error",
+    "popup.websiteError": "Website error",
+    "popup.openInMaps": "Open locatie in Google Maps",
+    "popup.call": "Bel naar {phone}",
+    "popup.visitWebsite": "Bezoek {name} website",
+    "day.maandag": "Maandag",
+    "day.dinsdag": "Dinsdag",
+    "day.woensdag": "Woensdag",
+    "day.donderdag": "Donderdag",
+    "day.vrijdag": "Vrijdag",
+    "day.zaterdag": "Zaterdag",
+    "day.zondag": "Zondag",
+    "hours.closesIn": "Open · sluit over {minutes} min",
+    "hours.openUntil": "Open · tot {time}",
+    "hours.closed": "Gesloten",
+    "hours.opensIn": "Gesloten · opent over {minutes} min",
+    "hours.opensAt": "Gesloten · opent om {time}",
+    "hours.opensTomorrow": "Gesloten · opent morgen om {time}",
+    "filter.openNow": "Nu open",
+    "search.placeholder": "Zoek locaties en murals",
+    "search.noResults": "Geen resultaten",
+    "search.ar": "AR mural",
+    "list.toggle": "Lijst",
+    "list.title": "Locaties in beeld",
+    "list.fromUser": "Gesorteerd op afstand tot jou",
+    "list.fromCenter": "Gesorteerd op afstand tot het midden van de kaart",
+    "list.empty": "Geen locaties in beeld",
+    "tour.title": "Wandelroutes",
+    "tour.stop": "Stop {current} van {total}",
+    "tour.summary": "{distance} · ca. {minutes} min lopen",
+    "tour.previous": "Vorige",
+    "tour.next": "Volgende",
+    "tour.end": "Stop route",
+    "route.button": "Route",
+    "route.needsLocation": "Zet je locatie aan om een route te plannen.",
+    "route.notFound": "Er is geen looproute gevonden.",
+    "route.summary": "{distance} · {minutes} min lopen",
+    "route.arrived": "Je bent er!",
+    "route.close": "Sluit route",
+    "favourites.filter": "Mijn favorieten",
+    "favourites.add": "Bewaar als favoriet",
+    "favourites.remove": "Verwijder uit favorieten",
+    "favourites.share": "Deel favorieten",
+    "favourites.copied": "Link naar je favorieten is gekopieerd.",
+    "favourites.empty": "Je hebt nog geen favorieten.",
+    "favourites.itinerary": "Gedeelde favorieten",
+    "discovery.toggle": "Ontdekt",
+    "discovery.title": "Jouw ontdekkingen",
+    "discovery.progress": "{visited} van {total} ontdekt",
+    "discovery.arGroup": "AR murals",
+    "discovery.checkIn": "Ingecheckt bij {name}",
+    "discovery.badgeEarned": "Badge verdiend: {badge}",
+    "discovery.badges": "Badges",
+    "discovery.noBadges": "Nog geen badges. Loop langs een locatie om in te checken!",
+    "badge.first": "Eerste stap",
+    "badge.arAll": "Muraljager",
+    "badge.explorer": "Ontdekkingsreiziger",
+    "badge.complete": "Heerlen kenner",
+    "badge.category": "Alle {category}",
+    "proximity.toggle": "Meldingen",
+    "proximity.title": "Meldingen in de buurt",
+    "proximity.enabled": "Waarschuw me als ik in de buurt ben",
+    "proximity.radius": "Afstand",
+    "proximity.vibrate": "Trillen",
+    "proximity.system": "Systeemmeldingen",
+    "proximity.quiet": "Stille modus (alleen in de kaart)",
+    "proximity.nearby": "{name} is {distance} hier vandaan",
+    "proximity.view": "Bekijk",
+    "filter.ar": "Alleen AR",
+    "filter.accessible": "Toegankelijk",
+    "filter.reset": "Wis filters",
+    "sun.label": "Zonnestand",
+    "sun.now": "Nu",
+    "popup.playAnimation": "Speel animatie",
+    "sun.date": "Datum",
+    "editor.title": "Plaatsing bewerken",
+    "editor.choose": "Kies een model…",
+    "editor.hint": "Sleep het model op de kaart om het te verplaatsen",
+    "editor.hintNotLoaded": "Sleep het model op de kaart om het te verplaatsen (nog niet geladen)",
+    "editor.position": "Positie",
+    "editor.rotation": "Draaiing (°)",
+    "editor.rotationX": "Kanteling X (°)",
+    "editor.rotationZ": "Kanteling Z (°)",
+    "editor.scale": "Schaal",
+    "editor.altitude": "Hoogte (m)",
+    "editor.export": "Exporteer JSON",
+    "editor.copied": "JSON gekopieerd naar klembord"
+  },
+  en: {
+    "geolocation.denied": "Location access denied. Enable it in your settings.",
+    "geolocation.unavailable": "Location unavailable. Check your device settings.",
+    "geolocation.timeout": "Request timed out. Please try again.",
+    "geolocation.error": "Something went wrong while getting your location.",
+    "boundary.title": "Come to Heerlen",
+    "boundary.text": "This feature is only available inside the area outlined in blue on the map. Come to the centre of Heerlen to use the interactive map!",
+    "boundary.button": "On my way!",
+    "popup.close": "Close popup",
+    "popup.moreInfo": "More info",
+    "popup.impression": "Impression",
+    "popup.instruction": "Instructions",
+    "popup.startAR": "Start AR",
+    "popup.back": "Back",
+    "popup.step": "STEP {number}",
+    "popup.address": "ADDRESS",
+    "popup.contact": "CONTACT",
+    "popup.website": "WEBSITE",
+    "popup.openingHours": "OPENING HOURS",
+    "popup.notAvailable": "Not available",
+    "popup.nameError": "Name missing",
+    "popup.addressError": "Address missing",
+    "popup.phoneError": "Phone number missing",
+    "popup.websiteError": "Website missing",
+    "popup.openInMaps": "Open location in Google Maps",
+    "popup.call": "Call {phone}",
+    "popup.visitWebsite": "Visit {name} website",
+    "day.maandag": "Monday",
+    "day.dinsdag": "Tuesday",
+    "day.woensdag": "Wednesday",
+    "day.donderdag": "Thursday",
+    "day.vrijdag": "Friday",
+    "day.zaterdag": "Saturday",
+    "day.zondag": "Sunday",
+    "hours.closesIn": "Open · closes in {minutes} min",
+    "hours.openUntil": "Open · until {time}",
+    "hours.closed": "Closed",
+    "hours.opensIn": "Closed · opens in {minutes} min",
+    "hours.opensAt": "Closed · opens at {time}",
+    "hours.opensTomorrow": "Closed · opens tomorrow at {time}",
+    "filter.openNow": "Open now",
+    "search.placeholder": "Search places and murals",
+    "search.noResults": "No results",
+    "search.ar": "AR mural",
+    "list.toggle": "List",
+    "list.title": "Places in view",
+    "list.fromUser": "Sorted by distance from you",
+    "list.fromCenter": "Sorted by distance from the map centre",
+    "list.empty": "No places in view",
+    "tour.title": "Walking tours",
+    "tour.stop": "Stop {current} of {total}",
+    "tour.summary": "{distance} · approx. {minutes} min walk",
+    "tour.previous": "Previous",
+    "tour.next": "Next",
+    "tour.end": "End tour",
+    "route.button": "Route",
+    "route.needsLocation": "Turn on your location to plan a route.",
+    "route.notFound": "No walking route found.",
+    "route.summary": "{distance} · {minutes} min walk",
+    "route.arrived": "You have arrived!",
+    "route.close": "Close route",
+    "favourites.filter": "My favourites",
+    "favourites.add": "Save as favourite",
+    "favourites.remove": "Remove from favourites",
+    "favourites.share": "Share favourites",
+    "favourites.copied": "Link to your favourites copied.",
+    "favourites.empty": "You have no favourites yet.",
+    "favourites.itinerary": "Shared favourites",
+    "discovery.toggle": "Discovered",
+    "discovery.title": "Your discoveries",
+    "discovery.progress": "{visited} of {total} discovered",
+    "discovery.arGroup": "AR murals",
+    "discovery.checkIn": "Checked in at {name}",
+    "discovery.badgeEarned": "Badge earned: {badge}",
+    "discovery.badges": "Badges",
+    "discovery.noBadges": "No badges yet. Walk past a place to check in!",
+    "badge.first": "First step",
+    "badge.arAll": "Mural hunter",
+    "badge.explorer": "Explorer",
+    "badge.complete": "Heerlen expert",
+    "badge.category": "All {category}",
+    "proximity.toggle": "Alerts",
+    "proximity.title": "Nearby alerts",
+    "proximity.enabled": "Alert me when I'm nearby",
+    "proximity.radius": "Distance",
+    "proximity.vibrate": "Vibrate",
+    "proximity.system": "System notifications",
+    "proximity.quiet": "Quiet mode (in the map only)",
+    "proximity.nearby": "{name} is {distance} away",
+    "proximity.view": "View",
+    "filter.ar": "AR only",
+    "filter.accessible": "Accessible",
+    "filter.reset": "Clear filters",
+    "sun.label": "Sunlight",
+    "sun.now": "Now",
+    "popup.playAnimation": "Play animation",
+    "sun.date": "Date",
+    "editor.title": "Edit placement",
+    "editor.choose": "Choose a model…",
+    "editor.hint": "Drag the model on the map to move it",
+    "editor.hintNotLoaded": "Drag the model on the map to move it (not loaded yet)",
+    "editor.position": "Position",
+    "editor.rotation": "Heading (°)",
+    "editor.rotationX": "Tilt X (°)",
+    "editor.rotationZ": "Tilt Z (°)",
+    "editor.scale": "Scale",
+    "editor.altitude": "Altitude (m)",
+    "editor.export": "Export JSON",
+    "editor.copied": "JSON copied to clipboard"
+  },
+  de: {
+    "geolocation.denied": "Standortzugriff verweigert. Aktiviere ihn in deinen Einstellungen.",
+    "geolocation.unavailable": "Standort nicht verfügbar. Überprüfe deine Geräteeinstellungen.",
+    "geolocation.timeout": "Zeitüberschreitung. Bitte versuche es erneut.",
+    "geolocation.error": "Beim Abrufen deines Standorts ist ein Fehler aufgetreten.",
+    "boundary.title": "Komm nach Heerlen",
+    "boundary.text": "Diese Funktion ist nur innerhalb des blau umrandeten Bereichs auf der Karte verfügbar. Komm ins Zentrum von Heerlen, um die interaktive Karte zu nutzen!",
+    "boundary.button": "Ich komme!",
+    "popup.close": "Popup schließen",
+    "popup.moreInfo": "Mehr Info",
+    "popup.impression": "Eindruck",
+    "popup.instruction": "Anleitung",
+    "popup.startAR": "AR starten",
+    "popup.back": "Zurück",
+    "popup.step": "SCHRITT {number}",
+    "popup.address": "ADRESSE",
+    "popup.contact": "KONTAKT",
+    "popup.website": "WEBSITE",
+    "popup.openingHours": "ÖFFNUNGSZEITEN",
+    "popup.notAvailable": "Nicht verfügbar",
+    "popup.nameError": "Name fehlt",
+    "popup.addressError": "Adresse fehlt",
+    "popup.phoneError": "Telefonnummer fehlt",
+    "popup.websiteError": "Website fehlt",
+    "popup.openInMaps": "Standort in Google Maps öffnen",
+    "popup.call": "{phone} anrufen",
+    "popup.visitWebsite": "Website von {name} besuchen",
+    "day.maandag": "Montag",
+    "day.dinsdag": "Dienstag",
+    "day.woensdag": "Mittwoch",
+    "day.donderdag": "Donnerstag",
+    "day.vrijdag": "Freitag",
+    "day.zaterdag": "Samstag",
+    "day.zondag": "Sonntag",
+    "hours.closesIn": "Geöffnet · schließt in {minutes} Min.",
+    "hours.openUntil": "Geöffnet · bis {time}",
+    "hours.closed": "Geschlossen",
+    "hours.opensIn": "Geschlossen · öffnet in {minutes} Min.",
+    "hours.opensAt": "Geschlossen · öffnet um {time}",
+    "hours.opensTomorrow": "Geschlossen · öffnet morgen um {time}",
+    "filter.openNow": "Jetzt geöffnet",
+    "search.placeholder": "Orte und Wandbilder suchen",
+    "search.noResults": "Keine Ergebnisse",
+    "search.ar": "AR-Wandbild",
+    "list.toggle": "Liste",
+    "list.title": "Orte im Blickfeld",
+    "list.fromUser": "Nach Entfernung zu dir sortiert",
+    "list.fromCenter": "Nach Entfernung zur Kartenmitte sortiert",
+    "list.empty": "Keine Orte im Blickfeld",
+    "tour.title": "Rundgänge",
+    "tour.stop": "Station {current} von {total}",
+    "tour.summary": "{distance} · ca. {minutes} Min. zu Fuß",
+    "tour.previous": "Zurück",
+    "tour.next": "Weiter",
+    "tour.end": "Rundgang beenden",
+    "route.button": "Route",
+    "route.needsLocation": "Aktiviere deinen Standort, um eine Route zu planen.",
+    "route.notFound": "Keine Fußroute gefunden.",
+    "route.summary": "{distance} · {minutes} Min. zu Fuß",
+    "route.arrived": "Du bist angekommen!",
+    "route.close": "Route schließen",
+    "favourites.filter": "Meine Favoriten",
+    "favourites.add": "Als Favorit speichern",
+    "favourites.remove": "Aus Favoriten entfernen",
+    "favourites.share": "Favoriten teilen",
+    "favourites.copied": "Link zu deinen Favoriten kopiert.",
+    "favourites.empty": "Du hast noch keine Favoriten.",
+    "favourites.itinerary": "Geteilte Favoriten",
+    "discovery.toggle": "Entdeckt",
+    "discovery.title": "Deine Entdeckungen",
+    "discovery.progress": "{visited} von {total} entdeckt",
+    "discovery.arGroup": "AR-Wandbilder",
+    "discovery.checkIn": "Eingecheckt bei {name}",
+    "discovery.badgeEarned": "Abzeichen verdient: {badge}",
+    "discovery.badges": "Abzeichen",
+    "discovery.noBadges": "Noch keine Abzeichen. Geh an einem Ort vorbei, um einzuchecken!",
+    "badge.first": "Erster Schritt",
+    "badge.arAll": "Wandbildjäger",
+    "badge.explorer": "Entdecker",
+    "badge.complete": "Heerlen-Kenner",
+    "badge.category": "Alle {category}",
+    "proximity.toggle": "Hinweise",
+    "proximity.title": "Hinweise in der Nähe",
+    "proximity.enabled": "Benachrichtige mich in der Nähe",
+    "proximity.radius": "Entfernung",
+    "proximity.vibrate": "Vibrieren",
+    "proximity.system": "Systembenachrichtigungen",
+    "proximity.quiet": "Stiller Modus (nur in der Karte)",
+    "proximity.nearby": "{name} ist {distance} entfernt",
+    "proximity.view": "Ansehen",
+    "filter.ar": "Nur AR",
+    "filter.accessible": "Barrierefrei",
+    "filter.reset": "Filter zurücksetzen",
+    "sun.label": "Sonnenstand",
+    "sun.now": "Jetzt",
+    "popup.playAnimation": "Animation abspielen",
+    "sun.date": "Datum",
+    "editor.title": "Platzierung bearbeiten",
+    "editor.choose": "Modell auswählen…",
+    "editor.hint": "Ziehe das Modell auf der Karte, um es zu verschieben",
+    "editor.hintNotLoaded": "Ziehe das Modell auf der Karte, um es zu verschieben (noch nicht geladen)",
+    "editor.position": "Position",
+    "editor.rotation": "Drehung (°)",
+    "editor.rotationX": "Neigung X (°)",
+    "editor.rotationZ": "Neigung Z (°)",
+    "editor.scale": "Maßstab",
+    "editor.altitude": "Höhe (m)",
+    "editor.export": "JSON exportieren",
+    "editor.copied": "JSON in die Zwischenablage kopiert"
+  }
+};
+
+/**
+ * Read a localStorage value; null when storage is blocked (Safari without cookies, sandboxed iframes)
+ */
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a localStorage value; false when storage is blocked or full
+ */
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Pick the language from ?lang=, a previous choice or the browser settings
+ */
+function detectLanguage() {
+  const candidates = [
+    new URLSearchParams(window.location.search).get("lang"),
+    readStorage("heerlenMapLanguage"),
+    ...(navigator.languages || [navigator.language])
+  ];
+  
+  const match = candidates
+    .filter(Boolean)
+    .map(code => code.slice(0, 2).toLowerCase())
+    .find(code => LANGUAGES.includes(code));
+    
+  return match || DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectLanguage();
+
+/**
+ * Translate a UI string, filling in {placeholders}
+ */
+function t(key, params = {}) {
+  const template = (TRANSLATIONS[currentLanguage] || {})[key] || TRANSLATIONS[DEFAULT_LANGUAGE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Read a localized feature property (e.g. name_en), falling back to Dutch
+ */
+function localized(properties, property) {
+  if (currentLanguage !== DEFAULT_LANGUAGE) {
+    const value = properties[`${property}_${currentLanguage}`];
+    if (value) return value;
+  }
+  return properties[property];
+}
+
+/**
+ * CMS field ids for the translations of the given fields (e.g. name_en, name_de)
+ */
+function getLocalizedFieldIds(fieldMap) {
+  return Object.values(fieldMap).flatMap(field =>
+    LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE).map(lang => `${field}_${lang}`)
+  );
+}
+
+/**
+ * Copy translated CMS fields into feature properties
+ */
+function getLocalizedProperties(record, fieldMap) {
+  const properties = {};
+  
+  Object.entries(fieldMap).forEach(([property, field]) => {
+    LANGUAGES.forEach(lang => {
+      const value = record[`${field}_${lang}`];
+      if (lang !== DEFAULT_LANGUAGE && value) {
+        properties[`${property}_${lang}`] = value;
+      }
+    });
+  });
+  
+  return properties;
+}
+
+/**
+ * Label expression that prefers the localized name
+ */
+function getLocalizedNameExpression() {
+  if (currentLanguage === DEFAULT_LANGUAGE) return ["get", "name"];
+  return ["coalesce", ["get", `name_${currentLanguage}`], ["get", "name"]];
+}
+
+/**
+ * Switch language and re-render everything that shows text
+ */
+function setLanguage(language) {
+  if (!LANGUAGES.includes(language)) return;
+  
+  currentLanguage = language;
+  writeStorage("heerlenMapLanguage", language);
+  document.documentElement.lang = language;
+  
+  // Static elements marked with data-i18n
+  document.querySelectorAll("[data-i18n]").forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  
+  document.querySelectorAll("[data-i18n-placeholder]").forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  
+  document.querySelectorAll(".language-switcher [data-language]").forEach(button => {
+    button.classList.toggle("is--active", button.dataset.language === language);
+  });
+  
+  // Map labels
+  if (map.getLayer("location-labels")) {
+    map.setLayoutProperty("location-labels", "text-field", getLocalizedNameExpression());
+  }
+  
+  resetClusterMarkers();
+  updateClusterMarkers();
+  updateFilterBar();
+  
+  updateLocationList();
+  renderTourPanel();
+  renderRouteInfo();
+  renderDiscoveryPanel();
+  proximityAlerts.renderSettingsPanel();
+  renderPlacementEditor(true);
+  
+  // Re-render the open popup
+  if (activePopup && activePopupLocation) {
+    const { properties, coordinates } = activePopupLocation;
+    const { styles, html } = createPopupContent(properties);
+    activePopup.setHTML(`${styles}${html}`);
+    setupPopupInteractions(activePopup, properties, coordinates, true);
+  }
+}
+
+/**
+ * Setup the NL/EN/DE switcher, reusing one from the page if present
+ */
+function setupLanguageSwitcher() {
+  let switcher = document.querySelector(".language-switcher");
+  
+  if (!switcher) {
+    switcher = document.createElement("div");
+    switcher.className = "language-switcher";
+    switcher.innerHTML = LANGUAGES
+      .map(lang => `<button data-language="${lang}">${lang.toUpperCase()}</button>`)
+      .join("");
+    document.body.appendChild(switcher);
+  }
+  
+  switcher.querySelectorAll("[data-language]").forEach(button => {
+    button.classList.toggle("is--active", button.dataset.language === currentLanguage);
+    button.addEventListener("click", () => setLanguage(button.dataset.language));
+  });
+  
+  document.documentElement.lang = currentLanguage;
+}
+
+setupLanguageSwitcher();
+
+// ============= VISITOR BOUNDARY =============
+// Allowed area as a GeoJSON Polygon or MultiPolygon, optionally replaced from CONFIG.MAP.boundary.url
+let boundaryGeometry = getBoundaryGeometry(CONFIG.MAP.boundary.geometry);
+
+/**
+ * Extract the Polygon or MultiPolygon from a geometry, Feature or FeatureCollection
+ */
+function getBoundaryGeometry(data) {
+  const geometry = data.type === "FeatureCollection"
+    ? data.features[0] && data.features[0].geometry
+    : data.type === "Feature" ? data.geometry : data;
+  
+  if (!geometry || !["Polygon", "MultiPolygon"].includes(geometry.type)) {
+    throw new Error("Boundary must be a GeoJSON Polygon or MultiPolygon");
+  }
+  
+  return geometry;
+}
+
+/**
+ * Load the boundary from CONFIG.MAP.boundary.url, keeping the config geometry on failure
+ */
+async function loadBoundary() {
+  if (!CONFIG.MAP.boundary.url) return boundaryGeometry;
+  
+  try {
+    boundaryGeometry = getBoundaryGeometry(await fetchJSON(CONFIG.MAP.boundary.url));
+  } catch (error) {
+    console.error("Error loading boundary:", error);
+  }
+  
+  return boundaryGeometry;
+}
+
+/**
+ * Ray casting test against a polygon's rings, holes are excluded by the even-odd rule
+ */
+function isPointInPolygon([x, y], rings) {
+  let inside = false;
+  
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  });
+  
+  return inside;
+}
+
+/**
+ * Check if a [lng, lat] point lies inside the visitor boundary
+ */
+function isInBoundary(point) {
+  const polygons = boundaryGeometry.type === "Polygon"
+    ? [boundaryGeometry.coordinates]
+    : boundaryGeometry.coordinates;
+  
+  return polygons.some(rings => isPointInPolygon(point, rings));
+}
+
+/**
+ * Bounding box of the visitor boundary
+ */
+function getBoundaryBounds() {
+  const bounds = new mapboxgl.LngLatBounds();
+  const polygons = boundaryGeometry.type === "Polygon"
+    ? [boundaryGeometry.coordinates]
+    : boundaryGeometry.coordinates;
+  
+  // The outer ring of each polygon is enough
+  polygons.forEach(rings => rings[0].forEach(point => bounds.extend(point)));
+  return bounds;
+}
+
+const boundaryReady = loadBoundary();
+
 // ============= GEOLOCATION MANAGER =============
 /**
  * Manages user location, search radius, and boundary checking
@@ -61,8 +692,8 @@ class GeolocationManager {
     this.boundaryLayerIds = ["boundary-fill", "boundary-line", "boundary-label"];
     this.distanceMarkers = [];
     this.isPopupOpen = false;
-    this.centerPoint = CONFIG.MAP.boundary.center;
-    this.boundaryRadius = CONFIG.MAP.boundary.radius;
+    this.userPosition = null;
+    this.isInsideBoundary = false; // Last known side, boundary events fire on changes only
     this.initialize();
   }
 
@@ -94,6 +725,8 @@ class GeolocationManager {
       );
 
       if (distance <= this.radiusInMeters) {
+        recordCheckIn(feature);
+        
         const markerEl = document.createElement("div");
         markerEl.className = "distance-marker";
         markerEl.innerHTML = `<span class="distance-marker-distance">${Math.round(distance)}m</span>`;
@@ -123,6 +756,12 @@ class GeolocationManager {
     const userPosition = [position.coords.longitude, position.coords.latitude];
 
     if (this.isWithinBoundary(userPosition)) {
+      if (!this.isInsideBoundary) {
+        this.isInsideBoundary = true;
+        emitMapEvent("userenterboundary", { position: userPosition });
+      }
+      this.userPosition = userPosition;
+      
       // Update UI elements for user in boundary
       this.updateSearchRadius(userPosition);
       this.updateDistanceMarkers(userPosition);
@@ -156,6 +795,11 @@ class GeolocationManager {
       }
     } else {
       // User outside boundary
+      this.userPosition = null;
+      if (this.isInsideBoundary) {
+        this.isInsideBoundary = false;
+        emitMapEvent("userleaveboundary", { position: userPosition });
+      }
       this.geolocateControl.trigger();
       this.showBoundaryPopup();
     }
@@ -226,6 +870,7 @@ class GeolocationManager {
       console.log("Location tracking ended");
       this.isTracking = false;
       this.isFirstLocation = true;
+      this.userPosition = null;
       this.map.easeTo({ bearing: 0, pitch: 45 });
       this.clearSearchRadius();
       
@@ -290,19 +935,21 @@ class GeolocationManager {
   }
 
   /**
-   * Setup boundary circle visualization
+   * Setup boundary visualization
    */
   setupBoundaryCheck() {
-    this.map.on("load", () => {
-      this.map.addSource("boundary-circle", {
+    this.map.on("load", async () => {
+      await boundaryReady;
+      
+      this.map.addSource("boundary", {
         type: "geojson",
-        data: this.createBoundaryCircle()
+        data: this.createBoundaryFeature()
       });
       
       this.map.addLayer({
         id: "boundary-fill",
         type: "fill",
-        source: "boundary-circle",
+        source: "boundary",
         paint: { 
           "fill-color": "#4B83F2", 
           "fill-opacity": 0.03 
@@ -315,7 +962,7 @@ class GeolocationManager {
       this.map.addLayer({
         id: "boundary-line",
         type: "line",
-        source: "boundary-circle",
+        source: "boundary",
         paint: {
           "line-color": "#4B83F2",
           "line-width": 2,
@@ -449,10 +1096,10 @@ class GeolocationManager {
     console.error("Geolocation error:", error);
     
     const errorMessages = {
-      1: "Locatie toegang geweigerd. Schakel het in bij je instellingen.",
-      2: "Locatie niet beschikbaar. Controleer je apparaat instellingen.",
-      3: "Verzoek verlopen. Probeer opnieuw.",
-      default: "Er is een fout opgetreden bij het ophalen van je locatie."
+      1: t("geolocation.denied"),
+      2: t("geolocation.unavailable"),
+      3: t("geolocation.timeout"),
+      default: t("geolocation.error")
     };
     
     this.showNotification(errorMessages[error.code] || errorMessages.default);
@@ -461,9 +1108,9 @@ class GeolocationManager {
   /**
    * Show notification to user
    */
-  showNotification(message) {
+  showNotification(message, type = "error") {
     const notification = document.createElement("div");
-    notification.className = "geolocation-error-notification";
+    notification.className = `geolocation-error-notification is--${type}`;
     notification.textContent = message;
     document.body.appendChild(notification);
     
@@ -471,36 +1118,13 @@ class GeolocationManager {
   }
 
   /**
-   * Create boundary circle GeoJSON
+   * Create boundary GeoJSON
    */
-  createBoundaryCircle() {
-    const center = { 
-      latitude: this.centerPoint[1], 
-      longitude: this.centerPoint[0] 
-    };
-    
-    const radiusKm = this.boundaryRadius;
-    const points = [];
-
-    // Convert km to degrees based on latitude
-    const degreesLongPerKm = radiusKm / (111.32 * Math.cos(center.latitude * Math.PI / 180));
-    const degreesLatPerKm = radiusKm / 110.574;
-
-    // Generate points around the circle
-    for (let i = 0; i <= 64; i++) {
-      const angle = (i / 64) * (2 * Math.PI);
-      const dx = degreesLongPerKm * Math.cos(angle);
-      const dy = degreesLatPerKm * Math.sin(angle);
-      points.push([center.longitude + dx, center.latitude + dy]);
-    }
-
+  createBoundaryFeature() {
     return {
       type: "Feature",
       properties: {},
-      geometry: { 
-        type: "Polygon", 
-        coordinates: [points] 
-      }
+      geometry: boundaryGeometry
     };
   }
 
@@ -508,10 +1132,7 @@ class GeolocationManager {
    * Check if position is within boundary
    */
   isWithinBoundary(position) {
-    return this.calculateDistance(
-      position[1], position[0],
-      this.centerPoint[1], this.centerPoint[0]
-    ) <= this.boundaryRadius;
+    return isInBoundary(position);
   }
 
   /**
@@ -546,13 +1167,13 @@ class GeolocationManager {
     popup.className = "location-boundary-popup";
     
     const heading = document.createElement("h3");
-    heading.textContent = "Kom naar Heerlen";
+    heading.textContent = t("boundary.title");
     
     const text = document.createElement("p");
-    text.textContent = "Deze functie is alleen beschikbaar binnen de blauwe cirkel op de kaart. Kom naar het centrum van Heerlen om de interactieve kaart te gebruiken!";
+    text.textContent = t("boundary.text");
     
     const button = document.createElement("button");
-    button.textContent = "Ik kom er aan!";
+    button.textContent = t("boundary.button");
     
     // Handle button click
     const self = this;
@@ -589,10 +1210,9 @@ class GeolocationManager {
       }, 2000);
     }
     
-    // Fly to center
-    this.map.flyTo({
-      center: this.centerPoint,
-      zoom: 14,
+    // Fly to the whole boundary
+    this.map.fitBounds(getBoundaryBounds(), {
+      padding: 40,
       pitch: 0,
       bearing: 0,
       duration: 1500
@@ -607,163 +1227,540 @@ class GeolocationManager {
 const geolocationManager = new GeolocationManager(map);
 window.geolocationManager = geolocationManager;
 
-// ============= DATA LOADING =============
+// ============= DATA VALIDATION =============
+const FALLBACK_ICON_ID = "fallback-icon";
+
+// Required feature properties, mapped to the CMS field editors know them by
+const REQUIRED_FIELDS = {
+  location: { id: "locationID", name: "name", category: "category" },
+  ar: { name: "name_ar", slug: "slug_ar", link_ar: "link_ar" }
+};
+
+// Result of the last validation pass
+const locationReport = {
+  checked: 0,
+  skipped: 0,
+  issues: []
+};
+
 /**
- * Load location data from CMS
+ * Check if a value is an absolute http(s) url
  */
-function getGeoData() {
-  document.getElementById("location-list").childNodes.forEach((element, index) => {
-    const locationData = {
-      name: element.querySelector("#name").value,
-      locationID: element.querySelector("#locationID").value,
-      locationInfo: element.querySelector(".locations-map_card").innerHTML,
-      locationLat: parseFloat(element.querySelector("#locationLatitude").value),
-      locationLong: parseFloat(element.querySelector("#locationLongitude").value),
-      ondernemerkleur: element.querySelector("#ondernemerkleur").value,
-      icon: element.querySelector("#icon").value,
-      image: element.querySelector("#image").value,
-      category: element.querySelector("#category").value,
-      // Contact details
-      telefoonummer: element.querySelector("#telefoonnummer").value,
-      locatie: element.querySelector("#locatie").value,
-      maps: element.querySelector("#maps").value,
-      website: element.querySelector("#website").value,
-      // Opening hours
-      maandag: element.querySelector("#maandag").value,
-      dinsdag: element.querySelector("#dinsdag").value,
-      woensdag: element.querySelector("#woensdag").value,
-      donderdag: element.querySelector("#donderdag").value,
-      vrijdag: element.querySelector("#vrijdag").value,
-      zaterdag: element.querySelector("#zaterdag").value,
-      zondag: element.querySelector("#zondag").value
-    };
-    
-    const feature = {
-      type: "Feature",
-      geometry: {
-        type: "Point",
-        coordinates: [locationData.locationLong, locationData.locationLat]
-      },
-      properties: {
-        id: locationData.locationID,
-        description: locationData.locationInfo,
-        arrayID: index,
-        color: locationData.ondernemerkleur,
-        name: locationData.name,
-        icon: locationData.icon,
-        image: locationData.image,
-        category: locationData.category,
-        // Contact details
-        telefoonummer: locationData.telefoonummer,
-        locatie: locationData.locatie,
-        maps: locationData.maps,
-        website: locationData.website,
-        // Opening hours
-        maandag: locationData.maandag,
-        dinsdag: locationData.dinsdag,
-        woensdag: locationData.woensdag,
-        donderdag: locationData.donderdag,
-        vrijdag: locationData.vrijdag,
-        zaterdag: locationData.zaterdag,
-        zondag: locationData.zondag
+function isValidUrl(value) {
+  if (!value) return false;
+  
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate features and return only the ones that can be shown on the map.
+ * Broken records are skipped, a bad icon or image falls back to a default.
+ */
+function validateLocations(features) {
+  const seenIds = new Set();
+  locationReport.checked = features.length;
+  locationReport.skipped = 0;
+  locationReport.issues = [];
+
+  const validFeatures = features.filter(feature => {
+    const properties = feature.properties || {};
+    const isAR = properties.type === "ar";
+    const errors = [];
+    const warnings = [];
+
+    // Coordinates
+    const coordinates = (feature.geometry && feature.geometry.coordinates) || [];
+    const [lng, lat] = coordinates;
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+      errors.push("Coördinaten ontbreken of zijn ongeldig");
+    } else if (!geolocationManager.isWithinBoundary(coordinates)) {
+      errors.push(`Coördinaten (${lat}, ${lng}) liggen buiten het kaartgebied`);
+    }
+
+    // Required fields
+    Object.entries(REQUIRED_FIELDS[isAR ? "ar" : "location"]).forEach(([property, field]) => {
+      if (!properties[property]) {
+        errors.push(`Verplicht veld "${field}" is leeg`);
       }
-    };
+    });
+
+    // Duplicate ids
+    if (!isAR && properties.id) {
+      if (seenIds.has(properties.id)) {
+        errors.push(`locationID "${properties.id}" komt vaker voor`);
+      }
+      seenIds.add(properties.id);
+    }
+
+    // Icon and image urls
+    if (!isValidUrl(properties.icon)) {
+      warnings.push("Icoon ontbreekt of is geen geldige URL, standaard icoon gebruikt");
+      properties.icon = FALLBACK_ICON_ID;
+    }
     
-    // Add to locations if not already present
-    if (!mapLocations.features.some(feat => feat.properties.id === locationData.locationID)) {
-      mapLocations.features.push(feature);
+    if (properties.image && !isValidUrl(properties.image)) {
+      warnings.push("Afbeelding is geen geldige URL en wordt niet getoond");
+      properties.image = "";
+    }
+
+    const label = properties.name || properties.id || properties.slug || `${isAR ? "AR" : "Locatie"} #${properties.arrayID}`;
+    errors.forEach(message => reportLocationIssue(label, "error", message));
+    warnings.forEach(message => reportLocationIssue(label, "warning", message));
+
+    if (errors.length) {
+      locationReport.skipped++;
+      return false;
     }
+    return true;
   });
+
+  if (locationReport.issues.length) {
+    console.warn(`Location validation: ${locationReport.issues.length} issue(s), ${locationReport.skipped} record(s) skipped`);
+  }
+  renderDebugPanel();
+
+  return validFeatures;
 }
 
 /**
- * Load AR location data from CMS
+ * Add an issue to the validation report
  */
-function getARData() {
-  document.getElementById("location-ar-list").childNodes.forEach((element, index) => {
-    const arData = {
-      name_ar: element.querySelector("#name_ar").value,
-      slug_ar: element.querySelector("#slug_ar").value,
-      latitude_ar: parseFloat(element.querySelector("#latitude_ar").value),
-      longitude_ar: parseFloat(element.querySelector("#longitude_ar").value),
-      image_ar: element.querySelector("#image_ar").value,
-      description_ar: element.querySelector("#description_ar").value,
-      link_ar: element.querySelector("#link_ar").value,
-      icon_ar: element.querySelector("#icon_ar").value,
-      stap1: element.querySelector("#stap1").value,
-      stap2: element.querySelector("#stap2").value,
-      stap3: element.querySelector("#stap3").value,
-      stap4: element.querySelector("#stap4").value,
-    };
-    
-    const feature = {
-      type: "Feature",
-      geometry: {
-        type: "Point",
-        coordinates: [arData.longitude_ar, arData.latitude_ar]
-      },
-      properties: {
-        type: "ar",
-        name: arData.name_ar,
-        slug: arData.slug_ar,
-        description: arData.description_ar,
-        arrayID: index,
-        image: arData.image_ar,
-        color: "black",
-        link_ar: arData.link_ar,
-        icon: arData.icon_ar,
-        stap1: arData.stap1,
-        stap2: arData.stap2,
-        stap3: arData.stap3,
-        stap4: arData.stap4
-      }
-    };
-    
-    mapLocations.features.push(feature);
+function reportLocationIssue(label, level, message) {
+  locationReport.issues.push({ label, level, message });
+}
+
+/**
+ * Draw a neutral marker icon used when a location icon is missing or fails to load
+ */
+function createFallbackIcon() {
+  const size = 256;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  
+  const context = canvas.getContext("2d");
+  context.beginPath();
+  context.arc(size / 2, size / 2, size / 2 - 16, 0, 2 * Math.PI);
+  context.fillStyle = "#333333";
+  context.fill();
+  context.lineWidth = 16;
+  context.strokeStyle = "#ffffff";
+  context.stroke();
+  
+  return context.getImageData(0, 0, size, size);
+}
+
+/**
+ * Check if the location debug panel is enabled (?debug=locations)
+ */
+function isDebugMode() {
+  return new URLSearchParams(window.location.search).get("debug") === "locations";
+}
+
+/**
+ * Render the validation report in an opt-in debug panel
+ */
+function renderDebugPanel() {
+  if (!isDebugMode()) return;
+
+  let panel = document.querySelector(".location-debug-panel");
+  if (!panel) {
+    panel = document.createElement("div");
+    panel.className = "location-debug-panel";
+    document.body.appendChild(panel);
+  }
+
+  const { checked, skipped, issues } = locationReport;
+  const escape = value => String(value).replace(/[&<>"]/g, char => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;"
+  })[char]);
+
+  panel.innerHTML = `
+    <div class="location-debug-header">
+      <strong>CMS controle</strong>
+      <button class="location-debug-close" aria-label="Sluit debug paneel">×</button>
+    </div>
+    <p class="location-debug-summary">
+      ${checked} items gecontroleerd, ${skipped} overgeslagen, ${issues.length} meldingen
+    </p>
+    <ul class="location-debug-list">
+      ${issues.map(issue => `
+        <li class="location-debug-issue is--${issue.level}">
+          <span class="location-debug-label">${escape(issue.label)}</span>
+          <span class="location-debug-message">${escape(issue.message)}</span>
+        </li>
+      `).join("")}
+    </ul>
+  `;
+
+  panel.querySelector(".location-debug-close").addEventListener("click", () => {
+    panel.remove();
   });
 }
 
-// Load data
-getGeoData();
-getARData();
+// ============= DATA LOADING =============
+/**
+ * Build a location feature from a flat CMS record
+ */
+function createLocationFeature(locationData, index) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      coordinates: [parseFloat(locationData.locationLongitude), parseFloat(locationData.locationLatitude)]
+    },
+    properties: {
+      id: locationData.locationID,
+      description: locationData.locationInfo,
+      arrayID: index,
+      color: locationData.ondernemerkleur,
+      name: locationData.name,
+      icon: locationData.icon,
+      image: locationData.image,
+      category: locationData.category,
+      accessible: parseCMSBoolean(locationData.toegankelijk),
+      // Contact details
+      telefoonummer: locationData.telefoonnummer,
+      locatie: locationData.locatie,
+      maps: locationData.maps,
+      website: locationData.website,
+      // Opening hours
+      maandag: locationData.maandag,
+      dinsdag: locationData.dinsdag,
+      woensdag: locationData.woensdag,
+      donderdag: locationData.donderdag,
+      vrijdag: locationData.vrijdag,
+      zaterdag: locationData.zaterdag,
+      zondag: locationData.zondag,
+      // Translations
+      ...getLocalizedProperties(locationData, LOCATION_LOCALIZED_FIELDS)
+    }
+  };
+}
 
-//! ============= MARKER MANAGEMENT =============
 /**
- * Load marker icons
+ * Build an AR feature from a flat CMS record
  */
-function loadIcons() {
-  // Get unique icons
-  const uniqueIcons = [...new Set(mapLocations.features.map(feature => feature.properties.icon))];
+function createARFeature(arData, index) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      coordinates: [parseFloat(arData.longitude_ar), parseFloat(arData.latitude_ar)]
+    },
+    properties: {
+      type: "ar",
+      name: arData.name_ar,
+      slug: arData.slug_ar,
+      description: arData.description_ar,
+      arrayID: index,
+      image: arData.image_ar,
+      color: "black",
+      link_ar: arData.link_ar,
+      icon: arData.icon_ar,
+      steps: getARSteps(arData),
+      // Translations
+      ...getLocalizedProperties(arData, AR_LOCALIZED_FIELDS)
+    }
+  };
+}
+
+/**
+ * Instruction steps of an AR record: a steps array (or the JSON string rendered map features
+ * carry) or the older numbered stap1, stap2, … fields. Empty steps are dropped.
+ */
+function getARSteps(record) {
+  let steps = record.steps;
   
-  // Load each icon
-  uniqueIcons.forEach(iconUrl => {
-    map.loadImage(iconUrl, (error, image) => {
-      if (error) throw error;
-      map.addImage(iconUrl, image);
-    });
-  });
+  if (typeof steps === "string") {
+    try {
+      steps = JSON.parse(steps);
+    } catch (error) {
+      steps = null;
+    }
+  }
+  
+  if (!Array.isArray(steps)) {
+    steps = [];
+    for (let number = 1; `stap${number}` in record; number++) {
+      steps.push({
+        text: record[`stap${number}`],
+        ...getLocalizedProperties(record, { text: `stap${number}` })
+      });
+    }
+  }
+  
+  return steps.filter(step => step && (step.title || step.text || step.image || step.video));
 }
 
 /**
- * Add custom markers to map
+ * Read the AR steps of a CMS item from its nested step list, falling back to #stap1, #stap2, … inputs
  */
-function addCustomMarkers() {
-  if (markersAdded) return;
+function readARSteps(element) {
+  const items = element.querySelectorAll(".ar-step-item");
   
-  // Add source
-  map.addSource("locations", { 
-    type: "geojson", 
-    data: mapLocations 
-  });
+  if (items.length) {
+    return Array.from(items).map(item => {
+      const stepData = readCMSFields(item, [
+        ...AR_STEP_FIELDS,
+        ...getLocalizedFieldIds(AR_STEP_LOCALIZED_FIELDS)
+      ]);
+      return {
+        title: stepData.step_title,
+        text: stepData.step_text,
+        image: stepData.step_image,
+        video: stepData.step_video,
+        ...getLocalizedProperties(stepData, AR_STEP_LOCALIZED_FIELDS)
+      };
+    });
+  }
   
-  // Add layers
-  const layers = [
-    // Circle marker layer
-    {
-      id: "location-markers",
-      type: "circle",
-      paint: {
-        "circle-color": ["get", "color"],
+  const record = {};
+  for (let number = 1; element.querySelector(`#stap${number}`); number++) {
+    const field = { text: `stap${number}` };
+    Object.assign(record, readCMSFields(element, [`stap${number}`, ...getLocalizedFieldIds(field)]));
+  }
+  return getARSteps(record);
+}
+
+/**
+ * Boolean from a CMS switch or feed value ("true", "ja", "yes", "1" or true)
+ */
+function parseCMSBoolean(value) {
+  return ["true", "ja", "yes", "1"].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Read the values of hidden CMS inputs from a list item
+ */
+function readCMSFields(element, fieldIds) {
+  const record = {};
+  fieldIds.forEach(fieldId => {
+    const input = element.querySelector(`#${fieldId}`);
+    record[fieldId] = input ? input.value : "";
+  });
+  return record;
+}
+
+// Translatable feature properties and the CMS fields they are read from
+const LOCATION_LOCALIZED_FIELDS = { name: "name", description: "description" };
+const AR_LOCALIZED_FIELDS = {
+  name: "name_ar",
+  description: "description_ar"
+};
+const AR_STEP_LOCALIZED_FIELDS = { title: "step_title", text: "step_text" };
+
+const LOCATION_FIELDS = [
+  "name", "locationID", "locationLatitude", "locationLongitude", "ondernemerkleur",
+  "icon", "image", "category", "toegankelijk", "telefoonnummer", "locatie", "maps", "website",
+  "maandag", "dinsdag", "woensdag", "donderdag", "vrijdag", "zaterdag", "zondag"
+];
+
+const AR_FIELDS = [
+  "name_ar", "slug_ar", "latitude_ar", "longitude_ar", "image_ar", "description_ar",
+  "link_ar", "icon_ar"
+];
+
+// Fields of the items in an AR experience's nested step list (.ar-step-item)
+const AR_STEP_FIELDS = ["step_title", "step_text", "step_image", "step_video"];
+
+/**
+ * Load location data from CMS
+ */
+function getGeoData() {
+  const list = document.getElementById("location-list");
+  if (!list) return [];
+
+  return Array.from(list.children).map((element, index) => {
+    const locationData = readCMSFields(element, [
+      ...LOCATION_FIELDS,
+      ...getLocalizedFieldIds(LOCATION_LOCALIZED_FIELDS)
+    ]);
+    const card = element.querySelector(".locations-map_card");
+    locationData.locationInfo = card ? card.innerHTML : "";
+    return createLocationFeature(locationData, index);
+  });
+}
+
+/**
+ * Load AR location data from CMS
+ */
+function getARData() {
+  const list = document.getElementById("location-ar-list");
+  if (!list) return [];
+
+  return Array.from(list.children).map((element, index) => {
+    const arData = readCMSFields(element, [
+      ...AR_FIELDS,
+      ...getLocalizedFieldIds(AR_LOCALIZED_FIELDS)
+    ]);
+    return createARFeature({ ...arData, steps: readARSteps(element) }, index);
+  });
+}
+
+/**
+ * Fetch JSON from a data source url
+ */
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Data source adapters, each resolving to an array of features
+ * - dom: scrapes the Webflow CMS lists on the page
+ * - geojson: static FeatureCollection whose properties already match our feature format
+ * - json: endpoint returning { locations: [...], ar: [...] } with the same fields as the CMS lists;
+ *   location records also carry locationInfo, the description html that the dom source reads
+ *   from the item's .locations-map_card
+ */
+const dataSources = {
+  dom: {
+    load() {
+      return Promise.resolve([...getGeoData(), ...getARData()]);
+    }
+  },
+
+  geojson: {
+    async load(url) {
+      const collection = await fetchJSON(url);
+      const counters = { ar: 0, location: 0 };
+
+      return (collection.features || []).map(feature => {
+        const kind = feature.properties.type === "ar" ? "ar" : "location";
+        const properties = { ...feature.properties, arrayID: counters[kind]++ };
+        if (kind === "ar") properties.steps = getARSteps(properties);
+        return { type: "Feature", geometry: feature.geometry, properties };
+      });
+    }
+  },
+
+  json: {
+    async load(url) {
+      const data = await fetchJSON(url);
+      return [
+        ...(data.locations || []).map(createLocationFeature),
+        ...(data.ar || []).map(createARFeature)
+      ];
+    }
+  }
+};
+
+/**
+ * Resolve the active data source; the #map element can override CONFIG.DATA
+ * with data-location-source and data-location-url attributes
+ */
+function getDataSource() {
+  const container = document.getElementById("map");
+  const name = (container && container.dataset.locationSource) || CONFIG.DATA.source;
+  const url = (container && container.dataset.locationUrl) || CONFIG.DATA.url;
+
+  if (!dataSources[name]) {
+    throw new Error(`Unknown location data source: ${name}`);
+  }
+  return { adapter: dataSources[name], url };
+}
+
+/**
+ * Load features from the active data source into mapLocations
+ */
+async function loadLocations() {
+  const { adapter, url } = getDataSource();
+  const features = await adapter.load(url);
+  
+  // Validation checks coordinates against the boundary
+  await boundaryReady;
+
+  mapLocations.features = validateLocations(features);
+
+  return mapLocations;
+}
+
+/**
+ * Reload locations from the data source and update the map without a page reload
+ */
+async function refreshLocations() {
+  await loadLocations();
+
+  if (markersAdded) {
+    loadIcons();
+    updateClusterSource();
+    renderCategoryButtons();
+    updateOpeningStatus();
+    applyMapFilters();
+  }
+
+  return mapLocations;
+}
+
+// Load data
+const locationsReady = loadLocations().catch(error => {
+  console.error("Error loading locations:", error);
+  return mapLocations;
+});
+
+//! ============= MARKER MANAGEMENT =============
+/**
+ * Load marker icons
+ */
+function loadIcons() {
+  if (!map.hasImage(FALLBACK_ICON_ID)) {
+    map.addImage(FALLBACK_ICON_ID, createFallbackIcon());
+  }
+  
+  // Get unique icons
+  const uniqueIcons = [...new Set(mapLocations.features.map(feature => feature.properties.icon))];
+  
+  // Load each icon
+  uniqueIcons.forEach(iconUrl => {
+    if (map.hasImage(iconUrl)) return;
+    
+    map.loadImage(iconUrl, (error, image) => {
+      if (error) {
+        // Register the fallback under the broken url so markers still render
+        console.warn(`Icon failed to load: ${iconUrl}`, error);
+        mapLocations.features
+          .filter(feature => feature.properties.icon === iconUrl)
+          .forEach(feature => reportLocationIssue(feature.properties.name, "warning", "Icoon kon niet geladen worden, standaard icoon gebruikt"));
+        renderDebugPanel();
+        image = createFallbackIcon();
+      }
+      if (!map.hasImage(iconUrl)) {
+        map.addImage(iconUrl, image);
+      }
+    });
+  });
+}
+
+/**
+ * Add custom markers to map
+ */
+function addCustomMarkers() {
+  if (markersAdded) return;
+  
+  // Add source
+  map.addSource("locations", { 
+    type: "geojson", 
+    data: getVisibleLocations(),
+    ...getClusterOptions()
+  });
+  
+  // Add layers
+  const layers = [
+    // Circle marker layer
+    {
+      id: "location-markers",
+      type: "circle",
+      paint: {
+        "circle-color": ["get", "color"],
         "circle-radius": [
           "interpolate",
           ["linear"],
@@ -805,7 +1802,7 @@ function addCustomMarkers() {
       id: "location-labels",
       type: "symbol",
       layout: {
-        "text-field": ["get", "name"],
+        "text-field": getLocalizedNameExpression(),
         "text-size": [
           "interpolate",
           ["linear"],
@@ -828,8 +1825,8 @@ function addCustomMarkers() {
     }
   ];
   
-  // Add each layer
-  layers.forEach(layer => map.addLayer({ ...layer, source: "locations" }));
+  // Add each layer, clusters are drawn as html markers
+  layers.forEach(layer => map.addLayer({ ...layer, source: "locations", filter: ["!", ["has", "point_count"]] }));
   
   // Animate marker appearance
   let opacity = 0;
@@ -857,59 +1854,751 @@ map.on("mouseleave", "location-markers", () => {
   map.getCanvas().style.cursor = "";
 });
 
+// ============= MARKER CLUSTERS =============
+// Category groups counted per cluster; clusterProperties are fixed when the source is
+// created, so the source is rebuilt when the groups change
+let clusterGroups = [];
+let clusterUpdateTimeout = null;
+
+// Cluster markers by cluster id, and the ones currently on the map
+let clusterMarkers = {};
+let clusterMarkersOnScreen = {};
+
+/**
+ * Category groups of the loaded locations, AR murals form their own group
+ */
+function getClusterGroups() {
+  const groups = new Map();
+  
+  mapLocations.features.forEach(({ properties }) => {
+    const groupId = properties.type === "ar" ? "ar" : properties.category;
+    if (groupId && !groups.has(groupId)) {
+      groups.set(groupId, { id: groupId, color: properties.color });
+    }
+  });
+  
+  return Array.from(groups.values());
+}
+
+/**
+ * Source options that cluster the locations and count them per category group
+ */
+function getClusterOptions() {
+  clusterGroups = getClusterGroups();
+  
+  const clusterProperties = {};
+  clusterGroups.forEach(group => {
+    const condition = group.id === "ar"
+      ? ["==", ["get", "type"], "ar"]
+      : ["all", ["!=", ["get", "type"], "ar"], ["==", ["get", "category"], group.id]];
+    clusterProperties[`count:${group.id}`] = ["+", ["case", condition, 1, 0]];
+  });
+  
+  return {
+    cluster: true,
+    clusterMaxZoom: CONFIG.CLUSTER.maxZoom,
+    clusterRadius: CONFIG.CLUSTER.radius,
+    clusterProperties
+  };
+}
+
+/**
+ * Recreate the locations source and its layers when the category groups changed
+ */
+function updateClusterSource() {
+  const groupKey = groups => groups.map(group => group.id).sort().join(",");
+  if (!map.getSource("locations") || groupKey(getClusterGroups()) === groupKey(clusterGroups)) return;
+  
+  const styleLayers = map.getStyle().layers;
+  const layers = styleLayers
+    .map((layer, index) => ({ layer, beforeId: styleLayers[index + 1] && styleLayers[index + 1].id }))
+    .filter(({ layer }) => layer.source === "locations");
+  
+  layers.forEach(({ layer }) => map.removeLayer(layer.id));
+  map.removeSource("locations");
+  resetClusterMarkers();
+  
+  map.addSource("locations", {
+    type: "geojson",
+    data: getVisibleLocations(),
+    ...getClusterOptions()
+  });
+  
+  // Re-add from the top down, so every beforeId exists again
+  layers.reverse().forEach(({ layer, beforeId }) => map.addLayer(layer, beforeId));
+}
+
+/**
+ * SVG path for one segment of a cluster donut
+ */
+function createDonutSegment(start, end, radius, innerRadius, color) {
+  if (end - start === 1) end -= 0.00001;
+  
+  const a0 = 2 * Math.PI * (start - 0.25);
+  const a1 = 2 * Math.PI * (end - 0.25);
+  const x0 = Math.cos(a0), y0 = Math.sin(a0);
+  const x1 = Math.cos(a1), y1 = Math.sin(a1);
+  const largeArc = end - start > 0.5 ? 1 : 0;
+  
+  return `<path d="M ${radius + innerRadius * x0} ${radius + innerRadius * y0}
+    L ${radius + radius * x0} ${radius + radius * y0}
+    A ${radius} ${radius} 0 ${largeArc} 1 ${radius + radius * x1} ${radius + radius * y1}
+    L ${radius + innerRadius * x1} ${radius + innerRadius * y1}
+    A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${radius + innerRadius * x0} ${radius + innerRadius * y0}"
+    fill="${color}" />`;
+}
+
+/**
+ * Cluster bubble with the total count and a donut of the category breakdown
+ */
+function createClusterElement(feature) {
+  const { cluster_id: clusterId, point_count: total } = feature.properties;
+  const counts = clusterGroups
+    .map(group => ({ ...group, count: feature.properties[`count:${group.id}`] || 0 }))
+    .filter(group => group.count > 0);
+  
+  const radius = total >= 50 ? 26 : total >= 10 ? 21 : 17;
+  const innerRadius = Math.round(radius * 0.65);
+  const size = radius * 2;
+  
+  let offset = 0;
+  const segments = counts.map(group => {
+    const start = offset / total;
+    offset += group.count;
+    return createDonutSegment(start, offset / total, radius, innerRadius, group.color);
+  }).join("");
+  
+  const breakdown = counts.map(group => `
+    <li><span style="background: ${group.color}"></span>${group.id === "ar" ? t("discovery.arGroup") : group.id}: ${group.count}</li>
+  `).join("");
+  
+  const element = document.createElement("div");
+  element.className = "cluster-marker";
+  element.innerHTML = `
+    <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+      ${segments}
+      <circle cx="${radius}" cy="${radius}" r="${innerRadius}" fill="white" />
+      <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle">${total}</text>
+    </svg>
+    <ul class="cluster-breakdown">${breakdown}</ul>
+  `;
+  
+  // Zoom in until the cluster expands
+  element.addEventListener("click", event => {
+    event.stopPropagation();
+    map.getSource("locations").getClusterExpansionZoom(clusterId, (error, zoom) => {
+      if (error) return;
+      map.easeTo({ center: feature.geometry.coordinates, zoom });
+    });
+  });
+  
+  return element;
+}
+
+/**
+ * Sync the cluster markers with the clusters currently rendered
+ */
+function updateClusterMarkers() {
+  if (!markersAdded || !map.isSourceLoaded("locations")) return;
+  
+  const markersOnScreen = {};
+  
+  map.querySourceFeatures("locations").forEach(feature => {
+    if (!feature.properties.cluster) return;
+    
+    const clusterId = feature.properties.cluster_id;
+    if (!clusterMarkers[clusterId]) {
+      clusterMarkers[clusterId] = new mapboxgl.Marker({ element: createClusterElement(feature) })
+        .setLngLat(feature.geometry.coordinates);
+    }
+    
+    markersOnScreen[clusterId] = clusterMarkers[clusterId];
+    if (!clusterMarkersOnScreen[clusterId]) {
+      clusterMarkers[clusterId].addTo(map);
+    }
+  });
+  
+  Object.keys(clusterMarkersOnScreen).forEach(clusterId => {
+    if (!markersOnScreen[clusterId]) clusterMarkersOnScreen[clusterId].remove();
+  });
+  
+  clusterMarkersOnScreen = markersOnScreen;
+}
+
+/**
+ * Drop all cluster markers, cluster ids are reassigned whenever the data changes
+ */
+function resetClusterMarkers() {
+  Object.values(clusterMarkersOnScreen).forEach(marker => marker.remove());
+  clusterMarkers = {};
+  clusterMarkersOnScreen = {};
+}
+
+/**
+ * Debounce cluster marker updates over bursts of moveend and sourcedata events
+ */
+function scheduleClusterUpdate() {
+  clearTimeout(clusterUpdateTimeout);
+  clusterUpdateTimeout = setTimeout(updateClusterMarkers, 100);
+}
+
+map.on("moveend", scheduleClusterUpdate);
+map.on("sourcedata", event => {
+  if (event.sourceId === "locations" && event.isSourceLoaded) scheduleClusterUpdate();
+});
+
 // ============= MARKER FILTERING =============
+// Category buttons, combined with the facets below
 const activeFilters = new Set();
 
+// Extra facets, every active facet must match
+const FILTER_FACETS = [
+  { id: "ar", labelKey: "filter.ar", matches: properties => properties.type === "ar" },
+  { id: "open-now", labelKey: "filter.openNow", matches: properties => openLocationIds.has(properties.id) },
+  { id: "favourites", labelKey: "favourites.filter", matches: properties => favourites.includes(getLocationKey(properties)) },
+  { id: "accessible", labelKey: "filter.accessible", matches: properties => parseCMSBoolean(properties.accessible) }
+];
+const activeFacets = new Set();
+
+const FILTERS_STORAGE_KEY = "heerlenMapFilters";
+
+// Cloned for every generated filter button
+let filterButtonTemplate = null;
+
+/**
+ * Restore the filters of the previous visit
+ */
+function loadFilters() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FILTERS_STORAGE_KEY)) || {};
+    (saved.categories || []).forEach(category => activeFilters.add(category));
+    (saved.facets || [])
+      .filter(facetId => FILTER_FACETS.some(facet => facet.id === facetId))
+      .forEach(facetId => activeFacets.add(facetId));
+  } catch (error) {
+    activeFilters.clear();
+    activeFacets.clear();
+  }
+}
+
+/**
+ * Save the filters to localStorage
+ */
+function saveFilters() {
+  writeStorage(FILTERS_STORAGE_KEY, JSON.stringify({
+    categories: Array.from(activeFilters),
+    facets: Array.from(activeFacets)
+  }));
+}
+
+loadFilters();
+
 /**
- * Setup location filter buttons
+ * Categories present in the loaded locations
+ */
+function getCategories() {
+  const categories = mapLocations.features
+    .filter(feature => feature.properties.type !== "ar" && feature.properties.category)
+    .map(feature => feature.properties.category);
+  
+  return [...new Set(categories)].sort((a, b) => a.localeCompare(b, "nl"));
+}
+
+/**
+ * Setup the filter bar: category buttons, facets and reset
  */
 function setupLocationFilters() {
-  document.querySelectorAll(".filter-btn").forEach(button => {
-    button.addEventListener("click", () => {
-      const category = button.dataset.category;
-      button.classList.toggle("is--active");
-      
+  // The first button on the page serves as template, or a bar is created
+  let firstButton = document.querySelector(".filter-btn");
+  if (!firstButton) {
+    const bar = document.createElement("div");
+    bar.className = "filter-bar";
+    firstButton = document.createElement("button");
+    firstButton.className = "filter-btn";
+    bar.appendChild(firstButton);
+    document.body.appendChild(bar);
+  }
+  
+  filterButtonTemplate = firstButton.cloneNode(false);
+  filterButtonTemplate.classList.remove("is--active");
+  delete filterButtonTemplate.dataset.category;
+  delete filterButtonTemplate.dataset.filter;
+  delete filterButtonTemplate.dataset.i18n;
+  
+  const container = firstButton.parentElement;
+  container.querySelectorAll(".filter-btn").forEach(button => button.remove());
+  
+  FILTER_FACETS.forEach(facet => {
+    container.appendChild(createFilterButton("filter", facet.id, () => {
+      if (activeFacets.has(facet.id)) {
+        activeFacets.delete(facet.id);
+      } else {
+        activeFacets.add(facet.id);
+      }
+      applyMapFilters();
+    }));
+  });
+  
+  container.appendChild(createFilterButton("filter", "reset", resetFilters));
+  
+  renderCategoryButtons();
+  
+  addFilterButton("share-favourites", "favourites.share", shareFavourites);
+  updateShareFavouritesButton();
+  updateFilterBar();
+}
+
+/**
+ * Create a filter button from the template
+ */
+function createFilterButton(dataKey, value, onClick) {
+  const button = filterButtonTemplate.cloneNode(false);
+  button.dataset[dataKey] = value;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * (Re)build the category buttons in front of the facets
+ */
+function renderCategoryButtons() {
+  const firstFacet = document.querySelector(".filter-btn[data-filter]");
+  if (!firstFacet) return;
+  
+  const categories = getCategories();
+  document.querySelectorAll(".filter-btn[data-category]").forEach(button => button.remove());
+  
+  // Forget saved categories that no longer exist
+  activeFilters.forEach(category => {
+    if (!categories.includes(category)) activeFilters.delete(category);
+  });
+  
+  categories.forEach(category => {
+    firstFacet.before(createFilterButton("category", category, () => {
       if (activeFilters.has(category)) {
         activeFilters.delete(category);
       } else {
         activeFilters.add(category);
       }
-      
       applyMapFilters();
-    });
+      updateUrlState();
+    }));
   });
 }
 
 /**
- * Apply active filters to map markers
+ * Update labels, counts and active state of the filter buttons.
+ * Counts show how many locations remain when a button is switched on.
  */
-function applyMapFilters() {
-  // If no filters active, show all markers
-  if (activeFilters.size === 0) {
-    map.setFilter("location-markers", null);
-    map.setFilter("location-icons", null);
-    map.setFilter("location-labels", null);
-    return;
-  }
+function updateFilterBar() {
+  const renderButton = (button, label, count, active) => {
+    button.innerHTML = `${label} <span class="filter-count">${count}</span>`;
+    button.classList.toggle("is--active", active);
+    button.classList.toggle("is--empty", count === 0 && !active);
+  };
+  
+  document.querySelectorAll(".filter-btn[data-category]").forEach(button => {
+    const category = button.dataset.category;
+    const count = countMatches({ categories: new Set([...activeFilters, category]) });
+    renderButton(button, category, count, activeFilters.has(category));
+  });
   
-  // Create filter to show only markers with selected categories
-  const filter = ["in", ["get", "category"], ["literal", Array.from(activeFilters)]];
+  FILTER_FACETS.forEach(facet => {
+    const button = document.querySelector(`.filter-btn[data-filter='${facet.id}']`);
+    if (!button) return;
+    
+    const count = countMatches({ facets: new Set([...activeFacets, facet.id]) });
+    renderButton(button, t(facet.labelKey), count, activeFacets.has(facet.id));
+  });
   
-  // Apply filter to all marker layers
-  map.setFilter("location-markers", filter);
-  map.setFilter("location-icons", filter);
-  map.setFilter("location-labels", filter);
+  const resetButton = document.querySelector(".filter-btn[data-filter='reset']");
+  if (resetButton) {
+    resetButton.textContent = t("filter.reset");
+    resetButton.disabled = activeFilters.size === 0 && activeFacets.size === 0;
+  }
 }
 
-//! ============= POPUP MANAGEMENT =============
 /**
- * Create popup content based on feature properties
+ * Number of locations matching the filters, with some filters overridden
  */
-function createPopupContent(properties) {
-  const isAR = properties.type === "ar";
+function countMatches(overrides) {
+  return mapLocations.features.filter(feature => matchesMapFilters(feature.properties, overrides)).length;
+}
+
+/**
+ * Switch off all categories and facets
+ */
+function resetFilters() {
+  activeFilters.clear();
+  activeFacets.clear();
+  applyMapFilters();
+  updateUrlState();
+}
+
+/**
+ * Add a filter bar button styled like the category buttons
+ */
+function addFilterButton(filterName, labelKey, onClick) {
+  const filterButtons = document.querySelectorAll(".filter-btn");
+  if (!filterButtons.length || document.querySelector(`.filter-btn[data-filter='${filterName}']`)) return;
   
-  // Common styles
-  const styles = `
+  const button = filterButtons[0].cloneNode(false);
+  delete button.dataset.category;
+  button.dataset.filter = filterName;
+  button.classList.remove("is--active");
+  button.dataset.i18n = labelKey;
+  button.textContent = t(labelKey);
+  filterButtons[filterButtons.length - 1].after(button);
+  
+  button.addEventListener("click", () => onClick(button));
+}
+
+/**
+ * Apply active filters to map markers
+ */
+function applyMapFilters() {
+  // Before the map has loaded the source is still created from the active filters
+  if (!map.getSource("locations")) return;
+  
+  // Filter the source data itself, so clusters only count visible locations
+  resetClusterMarkers();
+  map.getSource("locations").setData(getVisibleLocations());
+  
+  saveFilters();
+  updateFilterBar();
+  updateLocationList();
+  
+  emitMapEvent("filterchange", {
+    ...window.HeerlenMap.getFilters(),
+    visible: getVisibleLocations().features.length
+  });
+}
+
+/**
+ * Locations that pass the active filters
+ */
+function getVisibleLocations() {
+  return {
+    type: "FeatureCollection",
+    features: mapLocations.features.filter(feature => matchesMapFilters(feature.properties))
+  };
+}
+
+/**
+ * Check if a feature passes the active filters: categories, facets and itinerary.
+ * Categories and facets can be overridden to count what-if results.
+ */
+function matchesMapFilters(properties, { categories = activeFilters, facets = activeFacets } = {}) {
+  if (categories.size > 0 && !categories.has(properties.category)) return false;
+  if (FILTER_FACETS.some(facet => facets.has(facet.id) && !facet.matches(properties))) return false;
+  if (itineraryKeys && !itineraryKeys.includes(getLocationKey(properties))) return false;
+  return true;
+}
+
+// ============= OPENING HOURS =============
+// CMS day fields, indexed like Date.getDay()
+const WEEK_DAYS = ["zondag", "maandag", "dinsdag", "woensdag", "donderdag", "vrijdag", "zaterdag"];
+
+// Display order in the popup table
+const OPENING_DAYS = ["maandag", "dinsdag", "woensdag", "donderdag", "vrijdag", "zaterdag", "zondag"];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Ids of locations that are open at the last clock tick
+const openLocationIds = new Set();
+
+/**
+ * Parse a free-text opening hours field into intervals in minutes since midnight.
+ * Returns [] when closed and null when the text can't be understood.
+ * A close time at or before the open time runs past midnight (close > 1440).
+ *
+ * Understands e.g. "09:00 - 17:00", "9.30-12.00 / 13.00-17.30", "20u tot 2u",
+ * "gesloten" and "24 uur".
+ */
+function parseOpeningHours(text) {
+  const value = (text || "").trim().toLowerCase();
+  if (!value) return null;
+  if (/gesloten|closed/.test(value)) return [];
+  if (/24\s*uur|hele dag/.test(value)) return [{ open: 0, close: MINUTES_PER_DAY }];
+  
+  const intervals = [];
+  const pattern = /(\d{1,2})(?:[:.](\d{2}))?\s*(?:uur|u)?\s*(?:-|–|—|tot)\s*(\d{1,2})(?:[:.](\d{2}))?/g;
+  let match;
+  
+  while ((match = pattern.exec(value)) !== null) {
+    const open = parseInt(match[1], 10) * 60 + parseInt(match[2] || "0", 10);
+    let close = parseInt(match[3], 10) * 60 + parseInt(match[4] || "0", 10);
+    
+    if (open >= MINUTES_PER_DAY || close > MINUTES_PER_DAY) continue;
+    if (close <= open) close += MINUTES_PER_DAY;
+    
+    intervals.push({ open, close });
+  }
+  
+  return intervals.length ? intervals : null;
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ */
+function formatMinutes(minutes) {
+  const dayMinutes = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(dayMinutes / 60);
+  return `${String(hours).padStart(2, "0")}:${String(dayMinutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Get the open/closed status of a location at a given moment
+ */
+function getOpeningStatus(properties, date = new Date()) {
+  const today = date.getDay();
+  const now = date.getHours() * 60 + date.getMinutes();
+  
+  // Intervals relative to today's midnight: yesterday (for past-midnight hours), today and tomorrow
+  const intervals = [];
+  let known = false;
+  
+  [-1, 0, 1].forEach(dayOffset => {
+    const day = WEEK_DAYS[(today + dayOffset + 7) % 7];
+    const parsed = parseOpeningHours(properties[day]);
+    if (parsed === null) return;
+    if (dayOffset === 0) known = true;
+    
+    parsed.forEach(interval => intervals.push({
+      open: interval.open + dayOffset * MINUTES_PER_DAY,
+      close: interval.close + dayOffset * MINUTES_PER_DAY
+    }));
+  });
+  
+  const current = intervals.find(interval => interval.open <= now && now < interval.close);
+  if (!current && !known) return { known: false, isOpen: false, text: "" };
+  
+  if (current) {
+    const minutesLeft = current.close - now;
+    return {
+      known: true,
+      isOpen: true,
+      minutesLeft,
+      text: minutesLeft <= 60
+        ? t("hours.closesIn", { minutes: minutesLeft })
+        : t("hours.openUntil", { time: formatMinutes(current.close) })
+    };
+  }
+  
+  const next = intervals
+    .filter(interval => interval.open > now)
+    .sort((a, b) => a.open - b.open)[0];
+  
+  let text = t("hours.closed");
+  if (next) {
+    const minutesUntil = next.open - now;
+    if (minutesUntil <= 60) {
+      text = t("hours.opensIn", { minutes: minutesUntil });
+    } else if (next.open < MINUTES_PER_DAY) {
+      text = t("hours.opensAt", { time: formatMinutes(next.open) });
+    } else {
+      text = t("hours.opensTomorrow", { time: formatMinutes(next.open) });
+    }
+  }
+  
+  return { known: true, isOpen: false, minutesUntil: next ? next.open - now : null, text };
+}
+
+/**
+ * Render the open/closed badge for a location
+ */
+function createOpeningStatusBadge(properties) {
+  const status = getOpeningStatus(properties);
+  if (!status.known) return "";
+  
+  return `<div class="opening-status ${status.isOpen ? "is--open" : "is--closed"}" data-location-id="${properties.id}">${status.text}</div>`;
+}
+
+/**
+ * Recalculate which locations are open and refresh everything that depends on it
+ */
+function updateOpeningStatus() {
+  const now = new Date();
+  const previousIds = Array.from(openLocationIds).join(",");
+  
+  openLocationIds.clear();
+  mapLocations.features.forEach(feature => {
+    if (feature.properties.type !== "ar" && getOpeningStatus(feature.properties, now).isOpen) {
+      openLocationIds.add(feature.properties.id);
+    }
+  });
+  
+  // Only re-filter when a location opened or closed
+  if (markersAdded && previousIds !== Array.from(openLocationIds).join(",")) {
+    if (activeFacets.has("open-now")) {
+      applyMapFilters();
+    } else {
+      updateFilterBar();
+    }
+  }
+  
+  // Update badge in the open popup
+  document.querySelectorAll(".opening-status[data-location-id]").forEach(badge => {
+    const feature = mapLocations.features.find(feat => feat.properties.id === badge.dataset.locationId);
+    if (!feature) return;
+    
+    const status = getOpeningStatus(feature.properties, now);
+    badge.textContent = status.text;
+    badge.classList.toggle("is--open", status.isOpen);
+    badge.classList.toggle("is--closed", !status.isOpen);
+  });
+}
+
+/**
+ * Keep opening status live, ticking at the start of every minute
+ */
+function startOpeningHoursClock() {
+  updateOpeningStatus();
+  
+  const msUntilNextMinute = 60000 - (Date.now() % 60000);
+  setTimeout(() => {
+    updateOpeningStatus();
+    setInterval(updateOpeningStatus, 60000);
+  }, msUntilNextMinute);
+}
+
+//! ============= POPUP MANAGEMENT =============
+/**
+ * Step carousel for the back of an AR popup, with a progress dot per step
+ */
+function createStepCarousel(properties) {
+  const steps = getARSteps(properties);
+  if (!steps.length) return "";
+  
+  const slides = steps.map((step, index) => {
+    const text = localized(step, "text");
+    const media = step.video
+      ? `<video class="experience-step-media" src="${step.video}" muted loop playsinline preload="metadata"></video>`
+      : step.image ? `<img class="experience-step-media" src="${step.image}" alt="" loading="lazy">` : "";
+    
+    return `
+      <div class="experience-step">
+        ${media}
+        <h2 class="experience-step-title">${localized(step, "title") || t("popup.step", { number: index + 1 })}</h2>
+        ${text ? `<p class="experience-step-text">${text}</p>` : ""}
+      </div>
+    `;
+  }).join("");
+  
+  const dots = steps.length > 1 ? `
+    <div class="experience-dots">
+      ${steps.map((step, index) => `<button class="experience-dot${index === 0 ? " is--active" : ""}" aria-label="${t("popup.step", { number: index + 1 })}"></button>`).join("")}
+    </div>
+  ` : "";
+  
+  return `
+    <div class="experience-steps">
+      <div class="experience-track">${slides}</div>
+      ${dots}
+    </div>
+  `;
+}
+
+/**
+ * Swipe, drag and dot navigation for a step carousel. Only the active step's video plays, and
+ * only while the popup shows its back side; returns the function that syncs that after a flip.
+ */
+function setupStepCarousel(carousel, popup) {
+  const track = carousel.querySelector(".experience-track");
+  const slides = Array.from(track.children);
+  const dots = carousel.querySelectorAll(".experience-dot");
+  let activeIndex = -1;
+  
+  function syncVideos() {
+    const isShown = Boolean(carousel.closest(".is-flipped"));
+    
+    slides.forEach((slide, slideIndex) => {
+      const video = slide.querySelector("video");
+      if (!video) return;
+      if (isShown && slideIndex === activeIndex) {
+        video.play().catch(() => {});
+      } else {
+        video.pause();
+      }
+    });
+  }
+  
+  function setActiveStep(index) {
+    if (index === activeIndex) return;
+    activeIndex = index;
+    
+    dots.forEach((dot, dotIndex) => dot.classList.toggle("is--active", dotIndex === index));
+    syncVideos();
+  }
+  
+  function scrollToStep(index) {
+    track.scrollTo({ left: index * track.clientWidth, behavior: "smooth" });
+  }
+  
+  track.addEventListener("scroll", () => {
+    setActiveStep(Math.round(track.scrollLeft / track.clientWidth));
+  }, { passive: true });
+  
+  dots.forEach((dot, index) => {
+    dot.addEventListener("click", () => scrollToStep(index));
+  });
+  
+  // Keep swipes and wheel scrolling on the carousel away from the map
+  ["touchstart", "touchmove", "wheel"].forEach(type => {
+    track.addEventListener(type, event => event.stopPropagation(), { passive: true });
+  });
+  
+  track.addEventListener("mouseenter", () => map.dragPan.disable());
+  track.addEventListener("mouseleave", () => map.dragPan.enable());
+  
+  // mouseleave doesn't fire when the popup is removed under the pointer
+  popup.once("close", () => {
+    map.dragPan.enable();
+    slides.forEach(slide => {
+      const video = slide.querySelector("video");
+      if (video) video.pause();
+    });
+  });
+  
+  // Mouse drag to swipe, snapping to the nearest step on release
+  let dragStartX = null;
+  let dragStartScroll = 0;
+  
+  const endDrag = () => {
+    document.removeEventListener("mouseup", endDrag);
+    dragStartX = null;
+    track.classList.remove("is--dragging");
+    scrollToStep(Math.round(track.scrollLeft / track.clientWidth));
+  };
+  
+  track.addEventListener("mousedown", event => {
+    dragStartX = event.pageX;
+    dragStartScroll = track.scrollLeft;
+    track.classList.add("is--dragging");
+    document.addEventListener("mouseup", endDrag);
+    event.preventDefault();
+    event.stopPropagation();
+  });
+  
+  track.addEventListener("mousemove", event => {
+    if (dragStartX === null) return;
+    track.scrollLeft = dragStartScroll - (event.pageX - dragStartX);
+  });
+  
+  setActiveStep(0);
+  return syncVideos;
+}
+
+/**
+ * Create popup content based on feature properties
+ */
+function createPopupContent(properties) {
+  const isAR = properties.type === "ar";
+  const name = localized(properties, "name");
+  const description = localized(properties, "description");
+  
+  // Common styles
+  const styles = `
     <style>
       .popup-side {
         background-color: ${properties.color || "#6B46C1"};
@@ -941,7 +2630,7 @@ function createPopupContent(properties) {
       styles,
       html: `
         <div class="popup-wrapper">
-          <button class="close-button" aria-label="Close popup"></button>
+          <button class="close-button" aria-label="${t("popup.close")}"></button>
           <div class="popup-side popup-front">
             <svg class="popup-border-overlay" fill="none" xmlns="http://www.w3.org/2000/svg">
               <path d="M0 227.13V240.82C0 246.99 5 252 11.18 252H19.2C25.38 252 30.38 246.99 30.38 240.82C30.38 246.99 35.4 252 41.56 252H49.6C55.75 252 60.75 247.01 60.76 240.85C60.79 247.01 65.79 252 71.94 252H79.98C86.15 252 91.16 246.99 91.16 240.82C91.16 246.99 96.16 252 102.34 252H110.36C116.53 252 121.53 247.01 121.54 240.84C121.55 247.01 126.55 252 132.72 252H140.74C146.35 252 150.99 247.87 151.79 242.48C152.6 247.87 157.24 252 162.85 252H170.87C177.04 252 182.04 247 182.05 240.84C182.06 247 187.06 252 193.23 252H201.25C207.03 252 211.78 247.62 212.36 242C212.95 247.62 217.7 252 223.48 252H231.5C237.68 252 242.68 246.99 242.68 240.82C242.68 246.99 247.69 252 253.86 252H261.89C268.05 252 273.05 247.01 273.06 240.85C273.08 247.01 278.08 252 284.24 252H292.27C298.44 252 303.45 246.99 303.45 240.82C303.45 246.99 308.46 252 314.63 252H322.66C328.82 252 333.82 247.01 333.83 240.84C333.85 247.01 338.85 252 345.01 252H353.04C359.21 252 364.22 246.99 364.22 240.82V227.13C364.22 220.95 359.21 215.95 353.04 215.95C359.21 215.95 364.22 210.94 364.22 204.77V191.07C364.22 184.9 359.21 179.89 353.04 179.89C359.21 179.89 364.22 174.89 364.22 168.71V155.02C364.22 149.52 360.25 144.96 355.02 144.03C360.25 143.09 364.22 138.53 364.22 133.03V119.34C364.22 113.17 359.22 108.17 353.06 108.16C359.22 108.16 364.22 103.15 364.22 96.98V83.29C364.22 77.11 359.21 72.11 353.04 72.11C359.21 72.11 364.22 67.1 364.22 60.93V47.23C364.22 41.06 359.21 36.05 353.04 36.05C359.21 36.05 364.22 31.05 364.22 24.87V11.18C364.22 5.01 359.21 0 353.04 0H345.01C338.85 0 333.85 4.99 333.83 11.16C333.82 4.99 328.82 0 322.66 0H314.63C308.46 0 303.45 5.01 303.45 11.18C303.45 5.01 298.44 0 292.27 0H284.24C278.08 0 273.08 4.99 273.06 11.16C273.05 4.99 268.05 0 261.89 0H253.86C247.69 0 242.68 5.01 242.68 11.18C242.68 5.01 237.68 0 231.5 0H223.48C217.7 0 212.95 4.38 212.36 10C211.78 4.38 207.03 0 201.25 0H193.23C187.06 0 182.06 5 182.05 11.16C182.04 5 177.04 0 170.87 0H162.85C157.24 0 152.6 4.13 151.79 9.52C150.99 4.13 146.35 0 140.74 0H132.72C126.55 0 121.55 4.99 121.54 11.16C121.53 4.99 116.53 0 110.36 0H102.34C96.16 0 91.16 5.01 91.16 11.18C91.16 5.01 86.15 0 79.98 0H71.94C65.79 0 60.79 4.99 60.76 11.16C60.75 4.99 55.75 0 49.6 0H41.56C35.4 0 30.38 5.01 30.38 11.18C30.38 5.01 25.38 0 19.2 0H11.18C5 0 0 5.01 0 11.18V24.87C0 31.05 5 36.05 11.18 36.05C5 36.05 0 41.06 0 47.23V60.93C0 67.1 5 72.11 11.18 72.11C5 72.11 0 77.11 0 83.29V96.98C0 103.15 4.99 108.15 11.16 108.16C4.99 108.17 0 113.17 0 119.34V133.03C0 138.53 3.97 143.09 9.19 144.03C3.97 144.96 0 149.52 0 155.02V168.71C0 174.89 5 179.89 11.18 179.89C5 179.89 0 184.9 0 191.07V204.77C0 210.94 5 215.95 11.18 215.95C5 215.95 0 220.95 0 227.13ZM333.83 24.89C333.85 31.06 338.85 36.05 345.01 36.05C338.85 36.05 333.85 41.05 333.83 47.21C333.82 41.05 328.82 36.05 322.66 36.05C328.82 36.05 333.82 31.06 333.83 24.89ZM333.83 60.95C333.85 67.11 338.85 72.11 345.01 72.11C338.85 72.11 333.85 77.1 333.83 83.27C333.82 77.1 328.82 72.11 322.66 72.11C328.82 72.11 333.82 67.11 333.83 60.95ZM333.83 119.32C333.82 113.16 328.83 108.17 322.68 108.16C328.83 108.16 333.82 103.16 333.83 97C333.85 103.16 338.83 108.15 344.99 108.16C338.83 108.17 333.85 113.16 333.83 119.32ZM343.03 144.03C337.81 144.96 333.84 149.51 333.83 155C333.82 149.51 329.86 144.96 324.64 144.03C329.86 143.09 333.82 138.54 333.83 133.05C333.83 138.54 337.81 143.09 343.03 144.03ZM333.83 168.73C333.85 174.9 338.85 179.89 345.01 179.89C338.85 179.89 333.85 184.89 333.83 191.05C333.82 184.89 328.82 179.89 322.66 179.89C328.82 179.89 333.82 174.9 333.83 168.73ZM333.83 204.79C333.85 210.95 338.85 215.95 345.01 215.95C338.85 215.95 333.85 220.94 333.83 227.11C333.82 220.94 328.82 215.95 322.66 215.95C328.82 215.95 333.82 210.95 333.83 204.79ZM303.45 24.87C303.45 31.05 308.46 36.05 314.63 36.05C308.46 36.05 303.45 41.06 303.45 47.23C303.45 41.06 298.44 36.05 292.27 36.05C298.44 36.05 303.45 31.05 303.45 24.87ZM303.45 60.93C303.45 67.1 308.46 72.11 314.63 72.11C308.46 72.11 303.45 77.11 303.45 83.29C303.45 77.11 298.44 72.11 292.27 72.11C298.44 72.11 303.45 67.1 303.45 60.93ZM303.45 119.34C303.45 113.17 298.45 108.17 292.29 108.16C298.45 108.16 303.45 103.15 303.45 96.98C303.45 103.15 308.45 108.15 314.61 108.16C308.45 108.17 303.45 113.17 303.45 119.34ZM312.64 144.03C307.42 144.96 303.45 149.52 303.45 155.02C303.45 149.52 299.48 144.96 294.25 144.03C299.48 143.09 303.45 138.53 303.45 133.03C303.45 138.53 307.42 143.09 312.64 144.03ZM303.45 168.71C303.45 174.89 308.46 179.89 314.63 179.89C308.46 179.89 303.45 184.9 303.45 191.07C303.45 184.9 298.44 179.89 292.27 179.89C298.44 179.89 303.45 174.89 303.45 168.71ZM303.45 204.77C303.45 210.94 308.46 215.95 314.63 215.95C308.46 215.95 303.45 220.95 303.45 227.13C303.45 220.95 298.44 215.95 292.27 215.95C298.44 215.95 303.45 210.94 303.45 204.77ZM273.06 24.9C273.08 31.06 278.08 36.05 284.24 36.05C278.08 36.05 273.08 41.05 273.06 47.21C273.05 41.05 268.05 36.05 261.89 36.05C268.05 36.05 273.05 31.06 273.06 24.9ZM273.06 60.95C273.08 67.11 278.08 72.11 284.24 72.11C278.08 72.11 273.08 77.1 273.06 83.26C273.05 77.1 268.05 72.11 261.89 72.11C268.05 72.11 273.05 67.11 273.06 60.95ZM273.06 119.31C273.05 113.16 268.06 108.17 261.91 108.16C268.06 108.16 273.05 103.16 273.06 97.01C273.08 103.16 278.07 108.15 284.22 108.16C278.07 108.17 273.08 113.16 273.06 119.31ZM282.26 144.03C277.04 144.96 273.08 149.51 273.06 154.99C273.05 149.51 269.09 144.96 263.87 144.03C269.09 143.09 273.05 138.54 273.06 133.06C273.08 138.54 277.04 143.09 282.26 144.03ZM273.06 168.74C273.08 174.9 278.08 179.89 284.24 179.89C278.08 179.89 273.08 184.89 273.06 191.05C273.05 184.89 268.05 179.89 261.89 179.89C268.05 179.89 273.05 174.9 273.06 168.74ZM273.06 204.79C273.08 210.95 278.08 215.95 284.24 215.95C278.08 215.95 273.08 220.94 273.06 227.1C273.05 220.94 268.05 215.95 261.89 215.95C268.05 215.95 273.05 210.95 273.06 204.79ZM242.68 24.87C242.68 31.05 247.69 36.05 253.86 36.05C247.69 36.05 242.68 41.06 242.68 47.23C242.68 41.06 237.68 36.05 231.5 36.05C237.68 36.05 242.68 31.05 242.68 24.87ZM242.68 60.93C242.68 67.1 247.69 72.11 253.86 72.11C247.69 72.11 242.68 77.11 242.68 83.29C242.68 77.11 237.68 72.11 231.5 72.11C237.68 72.11 242.68 67.1 242.68 60.93ZM242.68 119.34C242.68 113.17 237.69 108.17 231.52 108.16C237.69 108.16 242.68 103.15 242.68 96.98C242.68 103.15 247.68 108.15 253.84 108.16C247.68 108.17 242.68 113.17 242.68 119.34ZM251.87 144.03C246.65 144.96 242.68 149.52 242.68 155.02C242.68 149.52 238.71 144.96 233.49 144.03C238.71 143.09 242.68 138.53 242.68 133.03C242.68 138.53 246.65 143.09 251.87 144.03ZM242.68 168.71C242.68 174.89 247.69 179.89 253.86 179.89C247.69 179.89 242.68 184.9 242.68 191.07C242.68 184.9 237.68 179.89 231.5 179.89C237.68 179.89 242.68 174.89 242.68 168.71ZM242.68 204.77C242.68 210.94 247.69 215.95 253.86 215.95C247.69 215.95 242.68 220.95 242.68 227.13C242.68 220.95 237.68 215.95 231.5 215.95C237.68 215.95 242.68 210.94 242.68 204.77ZM212.36 26.05C212.95 31.68 217.7 36.05 223.48 36.05C217.7 36.05 212.95 40.43 212.36 46.05C211.78 40.43 207.03 36.05 201.25 36.05C207.03 36.05 211.78 31.68 212.36 26.05ZM212.36 62.11C212.95 67.73 217.7 72.11 223.48 72.11C217.7 72.11 212.95 76.48 212.36 82.11C211.78 76.48 207.03 72.11 201.25 72.11C207.03 72.11 211.78 67.73 212.36 62.11ZM212.36 118.16C211.78 112.54 207.04 108.17 201.28 108.16C207.04 108.16 211.78 103.78 212.36 98.16C212.95 103.78 217.69 108.15 223.46 108.16C217.69 108.17 212.95 112.54 212.36 118.16ZM221.49 144.03C216.64 144.89 212.88 148.88 212.36 153.85C211.86 148.88 208.1 144.89 203.24 144.03C208.1 143.16 211.86 139.17 212.36 134.2C212.88 139.17 216.64 143.16 221.49 144.03ZM212.36 169.89C212.95 175.52 217.7 179.89 223.48 179.89C217.7 179.89 212.95 184.27 212.36 189.89C211.78 184.27 207.03 179.89 201.25 179.89C207.03 179.89 211.78 175.52 212.36 169.89ZM212.36 205.95C212.95 211.57 217.7 215.95 223.48 215.95C217.7 215.95 212.95 220.32 212.36 225.95C211.78 220.32 207.03 215.95 201.25 215.95C207.03 215.95 211.78 211.57 212.36 205.95ZM182.05 24.89C182.06 31.06 187.06 36.05 193.23 36.05C187.06 36.05 182.06 41.05 182.05 47.22C182.04 41.05 177.04 36.05 170.87 36.05C177.04 36.05 182.04 31.06 182.05 24.89ZM182.05 60.95C182.06 67.11 187.06 72.11 193.23 72.11C187.06 72.11 182.06 77.1 182.05 83.27C182.04 77.1 177.04 72.11 170.87 72.11C177.04 72.11 182.04 67.11 182.05 60.95ZM182.05 119.32C182.04 113.16 177.05 108.17 170.9 108.16C177.05 108.16 182.04 103.16 182.05 97C182.06 103.16 187.05 108.15 193.22 108.16C187.05 108.17 182.06 113.16 182.05 119.32ZM191.24 144.03C186.03 144.96 182.06 149.51 182.05 155C182.04 149.51 178.09 144.96 172.86 144.03C178.09 143.09 182.04 138.54 182.05 133.05C182.06 138.54 186.03 143.09 191.24 144.03ZM182.05 168.73C182.06 174.9 187.06 179.89 193.23 179.89C187.06 179.89 182.06 184.89 182.05 191.05C182.04 184.89 177.04 179.89 170.87 179.89C177.04 179.89 182.04 174.9 182.05 168.73ZM182.05 204.79C182.06 210.95 187.06 215.95 193.23 215.95C187.06 215.95 182.06 220.94 182.05 227.11C182.04 220.94 177.04 215.95 170.87 215.95C177.04 215.95 182.04 210.95 182.05 204.79ZM151.79 26.53C152.6 31.92 157.24 36.05 162.85 36.05C157.24 36.05 152.6 40.18 151.79 45.57C150.99 40.18 146.35 36.05 140.74 36.05C146.35 36.05 150.99 31.92 151.79 26.53ZM151.79 62.59C152.6 67.98 157.24 72.11 162.85 72.11C157.24 72.11 152.6 76.24 151.79 81.63C150.99 76.24 146.35 72.11 140.74 72.11C146.35 72.11 150.99 67.98 151.79 62.59ZM151.79 117.68C151 112.3 146.36 108.17 140.76 108.16C146.36 108.16 151 104.02 151.79 98.64C152.6 104.02 157.23 108.15 162.84 108.16C157.23 108.17 152.6 112.3 151.79 117.68ZM160.86 144.03C156.18 144.86 152.5 148.62 151.79 153.35C151.1 148.62 147.41 144.86 142.73 144.03C147.41 143.19 151.1 139.43 151.79 134.7C152.5 139.43 156.18 143.19 160.86 144.03ZM151.79 170.37C152.6 175.76 157.24 179.89 162.85 179.89C157.24 179.89 152.6 184.02 151.79 189.41C150.99 184.02 146.35 179.89 140.74 179.89C146.35 179.89 150.99 175.76 151.79 170.37ZM151.79 206.43C152.6 211.82 157.24 215.95 162.85 215.95C157.24 215.95 152.6 220.08 151.79 225.47C150.99 220.08 146.35 215.95 140.74 215.95C146.35 215.95 150.99 211.82 151.79 206.43ZM121.54 24.89C121.55 31.06 126.55 36.05 132.72 36.05C126.55 36.05 121.55 41.05 121.54 47.21C121.53 41.05 116.53 36.05 110.36 36.05C116.53 36.05 121.53 31.06 121.54 24.89ZM121.54 60.95C121.55 67.11 126.55 72.11 132.72 72.11C126.55 72.11 121.55 77.1 121.54 83.27C121.53 77.1 116.53 72.11 110.36 72.11C116.53 72.11 121.53 67.11 121.54 60.95ZM121.54 119.32C121.53 113.16 116.54 108.17 110.38 108.16C116.54 108.16 121.53 103.16 121.54 97C121.55 103.16 126.54 108.15 132.69 108.16C126.54 108.17 121.55 113.16 121.54 119.32ZM130.73 144.03C125.51 144.96 121.54 149.51 121.54 155C121.53 149.51 117.56 144.96 112.35 144.03C117.56 143.09 121.53 138.54 121.54 133.05C121.54 138.54 125.51 143.09 130.73 144.03ZM121.54 168.73C121.55 174.9 126.55 179.89 132.72 179.89C126.55 179.89 121.55 184.89 121.54 191.05C121.53 184.89 116.53 179.89 110.36 179.89C116.53 179.89 121.53 174.9 121.54 168.73ZM121.54 204.79C121.55 210.95 126.55 215.95 132.72 215.95C126.55 215.95 121.55 220.94 121.54 227.11C121.53 220.94 116.53 215.95 110.36 215.95C116.53 215.95 121.53 210.95 121.54 204.79ZM91.16 24.87C91.16 31.05 96.16 36.05 102.34 36.05C96.16 36.05 91.16 41.06 91.16 47.23C91.16 41.06 86.15 36.05 79.98 36.05C86.15 36.05 91.16 31.05 91.16 24.87ZM91.16 60.93C91.16 67.1 96.16 72.11 102.34 72.11C96.16 72.11 91.16 77.11 91.16 83.29C91.16 77.11 86.15 72.11 79.98 72.11C86.15 72.11 91.16 67.1 91.16 60.93ZM91.16 119.34C91.16 113.17 86.16 108.17 79.99 108.16C86.16 108.16 91.16 103.15 91.16 96.98C91.16 103.15 96.16 108.15 102.31 108.16C96.16 108.17 91.16 113.17 91.16 119.34ZM100.35 144.03C95.12 144.96 91.16 149.52 91.16 155.02C91.16 149.52 87.18 144.96 81.95 144.03C87.18 143.09 91.16 138.53 91.16 133.03C91.16 138.53 95.12 143.09 100.35 144.03ZM91.16 168.71C91.16 174.89 96.16 179.89 102.34 179.89C96.16 179.89 91.16 184.9 91.16 191.07C91.16 184.9 86.15 179.89 79.98 179.89C86.15 179.89 91.16 174.89 91.16 168.71ZM91.16 204.77C91.16 210.94 96.16 215.95 102.34 215.95C96.16 215.95 91.16 220.95 91.16 227.13C91.16 220.95 86.15 215.95 79.98 215.95C86.15 215.95 91.16 210.94 91.16 204.77ZM60.76 24.9C60.79 31.06 65.79 36.05 71.94 36.05C65.79 36.05 60.79 41.05 60.76 47.21C60.75 41.05 55.75 36.05 49.6 36.05C55.75 36.05 60.75 31.06 60.76 24.9ZM60.76 60.95C60.79 67.11 65.79 72.11 71.94 72.11C65.79 72.11 60.79 77.1 60.76 83.26C60.75 77.1 55.75 72.11 49.6 72.11C55.75 72.11 60.75 67.11 60.76 60.95ZM60.76 119.31C60.75 113.16 55.76 108.17 49.61 108.16C55.76 108.16 60.75 103.16 60.76 97.01C60.79 103.16 65.78 108.15 71.92 108.16C65.78 108.17 60.79 113.16 60.76 119.31ZM69.97 144.03C64.74 144.96 60.79 149.51 60.76 154.99C60.75 149.51 56.79 144.96 51.57 144.03C56.79 143.09 60.75 138.54 60.76 133.06C60.79 138.54 64.74 143.09 69.97 144.03ZM60.76 168.74C60.79 174.9 65.79 179.89 71.94 179.89C65.79 179.89 60.79 184.89 60.76 191.05C60.75 184.89 55.75 179.89 49.6 179.89C55.75 179.89 60.75 174.9 60.76 168.74ZM60.76 204.79C60.79 210.95 65.79 215.95 71.94 215.95C65.79 215.95 60.79 220.94 60.76 227.1C60.75 220.94 55.75 215.95 49.6 215.95C55.75 215.95 60.75 210.95 60.76 204.79ZM30.38 24.87C30.38 31.05 35.4 36.05 41.56 36.05C35.4 36.05 30.38 41.06 30.38 47.23C30.38 41.06 25.38 36.05 19.2 36.05C25.38 36.05 30.38 31.05 30.38 24.87ZM30.38 60.93C30.38 67.1 35.4 72.11 41.56 72.11C35.4 72.11 30.38 77.11 30.38 83.29C30.38 77.11 25.38 72.11 19.2 72.11C25.38 72.11 30.38 67.1 30.38 60.93ZM30.38 119.34C30.38 113.17 25.4 108.17 19.23 108.16C25.4 108.16 30.38 103.15 30.38 96.98C30.38 103.15 35.38 108.15 41.54 108.16C35.38 108.17 30.38 113.17 30.38 119.34ZM39.57 144.03C34.35 144.96 30.38 149.52 30.38 155.02C30.38 149.52 26.41 144.96 21.19 144.03C26.41 143.09 30.38 138.53 30.38 133.03C30.38 138.53 34.35 143.09 39.57 144.03ZM30.38 168.71C30.38 174.89 35.4 179.89 41.56 179.89C35.4 179.89 30.38 184.9 30.38 191.07C30.38 184.9 25.38 179.89 19.2 179.89C25.38 179.89 30.38 174.89 30.38 168.71ZM30.38 204.77C30.38 210.94 35.4 215.95 41.56 215.95C35.4 215.95 30.38 220.95 30.38 227.13C30.38 220.95 25.38 215.95 19.2 215.95C25.38 215.95 30.38 210.94 30.38 204.77Z" fill="url(#paint0_linear_3248_5)"/>
@@ -953,43 +2642,24 @@ function createPopupContent(properties) {
               </defs>
             </svg>
             ${properties.image ? `<img src="${properties.image}" class="popup-background-image" alt="">` : ""}
+            ${createFavouriteButton(properties)}
             <div class="content-wrapper">
-              <div class="popup-title">${properties.name}</div>
-              <div class="popup-description">${properties.description}</div>
-              ${properties.image ? `<button class="impressie-button button-base" onclick="window.open('${properties.link_ar}', '_blank')">Start AR</button>` : ""}
-              <button class="more-info-button button-base">Instructie</button>
+              <div class="popup-title">${name}</div>
+              <div class="popup-description">${description}</div>
+              ${properties.image ? `<button class="impressie-button button-base" data-ar-link="${properties.link_ar}">${t("popup.startAR")}</button>` : ""}
+              <button class="more-info-button button-base">${t("popup.instruction")}</button>
             </div>
           </div>
           
           <div class="popup-side popup-back">
             <div class="content-wrapper">
-              <div class="popup-title details">Instructie</div>
+              <div class="popup-title details">${t("popup.instruction")}</div>
               <div class="info-content">
-                <div class="experience-steps">
-                  <div class="experience-step">
-                    <h2 class="experience-step-title">STAP 1</h2>
-                    <p class="experience-step-text">${properties.stap1}</p>
-                  </div>
-                  
-                  <div class="experience-step">
-                    <h2 class="experience-step-title">STAP 2</h2>
-                    <p class="experience-step-text">${properties.stap2}</p>
-                  </div>
-                  
-                  <div class="experience-step">
-                    <h2 class="experience-step-title">STAP 3</h2>
-                    <p class="experience-step-text">${properties.stap3}</p>
-                  </div>
-                  
-                  <div class="experience-step">
-                    <h2 class="experience-step-title">STAP 4</h2>
-                    <p class="experience-step-text">${properties.stap4}</p>
-                  </div>
-                </div>
+                ${createStepCarousel(properties)}
                 
                 <div class="ar-mural-buttons">
-                  <button class="more-info-button button-base">Terug</button>
-                  <button class="impressie-button button-base" onclick="window.open('${properties.link_ar}', '_blank')">Start AR</button>
+                  <button class="more-info-button button-base">${t("popup.back")}</button>
+                  <button class="impressie-button button-base" data-ar-link="${properties.link_ar}">${t("popup.startAR")}</button>
                 </div>
               </div>
             </div>
@@ -1003,7 +2673,7 @@ function createPopupContent(properties) {
       styles,
       html: `
         <div class="popup-wrapper">
-          <button class="close-button" aria-label="Close popup"></button>
+          <button class="close-button" aria-label="${t("popup.close")}"></button>
           <div class="popup-side popup-front">
             <svg class="popup-border-overlay" fill="none" xmlns="http://www.w3.org/2000/svg">
 <path d="M0 227.13V240.82C0 246.99 5 252 11.18 252H19.2C25.38 252 30.38 246.99 30.38 240.82C30.38 246.99 35.4 252 41.56 252H49.6C55.75 252 60.75 247.01 60.76 240.85C60.79 247.01 65.79 252 71.94 252H79.98C86.15 252 91.16 246.99 91.16 240.82C91.16 246.99 96.16 252 102.34 252H110.36C116.53 252 121.53 247.01 121.54 240.84C121.55 247.01 126.55 252 132.72 252H140.74C146.35 252 150.99 247.87 151.79 242.48C152.6 247.87 157.24 252 162.85 252H170.87C177.04 252 182.04 247 182.05 240.84C182.06 247 187.06 252 193.23 252H201.25C207.03 252 211.78 247.62 212.36 242C212.95 247.62 217.7 252 223.48 252H231.5C237.68 252 242.68 246.99 242.68 240.82C242.68 246.99 247.69 252 253.86 252H261.89C268.05 252 273.05 247.01 273.06 240.85C273.08 247.01 278.08 252 284.24 252H292.27C298.44 252 303.45 246.99 303.45 240.82C303.45 246.99 308.46 252 314.63 252H322.66C328.82 252 333.82 247.01 333.83 240.84C333.85 247.01 338.85 252 345.01 252H353.04C359.21 252 364.22 246.99 364.22 240.82V227.13C364.22 220.95 359.21 215.95 353.04 215.95C359.21 215.95 364.22 210.94 364.22 204.77V191.07C364.22 184.9 359.21 179.89 353.04 179.89C359.21 179.89 364.22 174.89 364.22 168.71V155.02C364.22 149.52 360.25 144.96 355.02 144.03C360.25 143.09 364.22 138.53 364.22 133.03V119.34C364.22 113.17 359.22 108.17 353.06 108.16C359.22 108.16 364.22 103.15 364.22 96.98V83.29C364.22 77.11 359.21 72.11 353.04 72.11C359.21 72.11 364.22 67.1 364.22 60.93V47.23C364.22 41.06 359.21 36.05 353.04 36.05C359.21 36.05 364.22 31.05 364.22 24.87V11.18C364.22 5.01 359.21 0 353.04 0H345.01C338.85 0 333.85 4.99 333.83 11.16C333.82 4.99 328.82 0 322.66 0H314.63C308.46 0 303.45 5.01 303.45 11.18C303.45 5.01 298.44 0 292.27 0H284.24C278.08 0 273.08 4.99 273.06 11.16C273.05 4.99 268.05 0 261.89 0H253.86C247.69 0 242.68 5.01 242.68 11.18C242.68 5.01 237.68 0 231.5 0H223.48C217.7 0 212.95 4.38 212.36 10C211.78 4.38 207.03 0 201.25 0H193.23C187.06 0 182.06 5 182.05 11.16C182.04 5 177.04 0 170.87 0H162.85C157.24 0 152.6 4.13 151.79 9.52C150.99 4.13 146.35 0 140.74 0H132.72C126.55 0 121.55 4.99 121.54 11.16C121.53 4.99 116.53 0 110.36 0H102.34C96.16 0 91.16 5.01 91.16 11.18C91.16 5.01 86.15 0 79.98 0H71.94C65.79 0 60.79 4.99 60.76 11.16C60.75 4.99 55.75 0 49.6 0H41.56C35.4 0 30.38 5.01 30.38 11.18C30.38 5.01 25.38 0 19.2 0H11.18C5 0 0 5.01 0 11.18V24.87C0 31.05 5 36.05 11.18 36.05C5 36.05 0 41.06 0 47.23V60.93C0 67.1 5 72.11 11.18 72.11C5 72.11 0 77.11 0 83.29V96.98C0 103.15 4.99 108.15 11.16 108.16C4.99 108.17 0 113.17 0 119.34V133.03C0 138.53 3.97 143.09 9.19 144.03C3.97 144.96 0 149.52 0 155.02V168.71C0 174.89 5 179.89 11.18 179.89C5 179.89 0 184.9 0 191.07V204.77C0 210.94 5 215.95 11.18 215.95C5 215.95 0 220.95 0 227.13ZM333.83 24.89C333.85 31.06 338.85 36.05 345.01 36.05C338.85 36.05 333.85 41.05 333.83 47.21C333.82 41.05 328.82 36.05 322.66 36.05C328.82 36.05 333.82 31.06 333.83 24.89ZM333.83 60.95C333.85 67.11 338.85 72.11 345.01 72.11C338.85 72.11 333.85 77.1 333.83 83.27C333.82 77.1 328.82 72.11 322.66 72.11C328.82 72.11 333.82 67.11 333.83 60.95ZM333.83 119.32C333.82 113.16 328.83 108.17 322.68 108.16C328.83 108.16 333.82 103.16 333.83 97C333.85 103.16 338.83 108.15 344.99 108.16C338.83 108.17 333.85 113.16 333.83 119.32ZM343.03 144.03C337.81 144.96 333.84 149.51 333.83 155C333.82 149.51 329.86 144.96 324.64 144.03C329.86 143.09 333.82 138.54 333.83 133.05C333.83 138.54 337.81 143.09 343.03 144.03ZM333.83 168.73C333.85 174.9 338.85 179.89 345.01 179.89C338.85 179.89 333.85 184.89 333.83 191.05C333.82 184.89 328.82 179.89 322.66 179.89C328.82 179.89 333.82 174.9 333.83 168.73ZM333.83 204.79C333.85 210.95 338.85 215.95 345.01 215.95C338.85 215.95 333.85 220.94 333.83 227.11C333.82 220.94 328.82 215.95 322.66 215.95C328.82 215.95 333.82 210.95 333.83 204.79ZM303.45 24.87C303.45 31.05 308.46 36.05 314.63 36.05C308.46 36.05 303.45 41.06 303.45 47.23C303.45 41.06 298.44 36.05 292.27 36.05C298.44 36.05 303.45 31.05 303.45 24.87ZM303.45 60.93C303.45 67.1 308.46 72.11 314.63 72.11C308.46 72.11 303.45 77.11 303.45 83.29C303.45 77.11 298.44 72.11 292.27 72.11C298.44 72.11 303.45 67.1 303.45 60.93ZM303.45 119.34C303.45 113.17 298.45 108.17 292.29 108.16C298.45 108.16 303.45 103.15 303.45 96.98C303.45 103.15 308.45 108.15 314.61 108.16C308.45 108.17 303.45 113.17 303.45 119.34ZM312.64 144.03C307.42 144.96 303.45 149.52 303.45 155.02C303.45 149.52 299.48 144.96 294.25 144.03C299.48 143.09 303.45 138.53 303.45 133.03C303.45 138.53 307.42 143.09 312.64 144.03ZM303.45 168.71C303.45 174.89 308.46 179.89 314.63 179.89C308.46 179.89 303.45 184.9 303.45 191.07C303.45 184.9 298.44 179.89 292.27 179.89C298.44 179.89 303.45 174.89 303.45 168.71ZM303.45 204.77C303.45 210.94 308.46 215.95 314.63 215.95C308.46 215.95 303.45 220.95 303.45 227.13C303.45 220.95 298.44 215.95 292.27 215.95C298.44 215.95 303.45 210.94 303.45 204.77ZM273.06 24.9C273.08 31.06 278.08 36.05 284.24 36.05C278.08 36.05 273.08 41.05 273.06 47.21C273.05 41.05 268.05 36.05 261.89 36.05C268.05 36.05 273.05 31.06 273.06 24.9ZM273.06 60.95C273.08 67.11 278.08 72.11 284.24 72.11C278.08 72.11 273.08 77.1 273.06 83.26C273.05 77.1 268.05 72.11 261.89 72.11C268.05 72.11 273.05 67.11 273.06 60.95ZM273.06 119.31C273.05 113.16 268.06 108.17 261.91 108.16C268.06 108.16 273.05 103.16 273.06 97.01C273.08 103.16 278.07 108.15 284.22 108.16C278.07 108.17 273.08 113.16 273.06 119.31ZM282.26 144.03C277.04 144.96 273.08 149.51 273.06 154.99C273.05 149.51 269.09 144.96 263.87 144.03C269.09 143.09 273.05 138.54 273.06 133.06C273.08 138.54 277.04 143.09 282.26 144.03ZM273.06 168.74C273.08 174.9 278.08 179.89 284.24 179.89C278.08 179.89 273.08 184.89 273.06 191.05C273.05 184.89 268.05 179.89 261.89 179.89C268.05 179.89 273.05 174.9 273.06 168.74ZM273.06 204.79C273.08 210.95 278.08 215.95 284.24 215.95C278.08 215.95 273.08 220.94 273.06 227.1C273.05 220.94 268.05 215.95 261.89 215.95C268.05 215.95 273.05 210.95 273.06 204.79ZM242.68 24.87C242.68 31.05 247.69 36.05 253.86 36.05C247.69 36.05 242.68 41.06 242.68 47.23C242.68 41.06 237.68 36.05 231.5 36.05C237.68 36.05 242.68 31.05 242.68 24.87ZM242.68 60.93C242.68 67.1 247.69 72.11 253.86 72.11C247.69 72.11 242.68 77.11 242.68 83.29C242.68 77.11 237.68 72.11 231.5 72.11C237.68 72.11 242.68 67.1 242.68 60.93ZM242.68 119.34C242.68 113.17 237.69 108.17 231.52 108.16C237.69 108.16 242.68 103.15 242.68 96.98C242.68 103.15 247.68 108.15 253.84 108.16C247.68 108.17 242.68 113.17 242.68 119.34ZM251.87 144.03C246.65 144.96 242.68 149.52 242.68 155.02C242.68 149.52 238.71 144.96 233.49 144.03C238.71 143.09 242.68 138.53 242.68 133.03C242.68 138.53 246.65 143.09 251.87 144.03ZM242.68 168.71C242.68 174.89 247.69 179.89 253.86 179.89C247.69 179.89 242.68 184.9 242.68 191.07C242.68 184.9 237.68 179.89 231.5 179.89C237.68 179.89 242.68 174.89 242.68 168.71ZM242.68 204.77C242.68 210.94 247.69 215.95 253.86 215.95C247.69 215.95 242.68 220.95 242.68 227.13C242.68 220.95 237.68 215.95 231.5 215.95C237.68 215.95 242.68 210.94 242.68 204.77ZM212.36 26.05C212.95 31.68 217.7 36.05 223.48 36.05C217.7 36.05 212.95 40.43 212.36 46.05C211.78 40.43 207.03 36.05 201.25 36.05C207.03 36.05 211.78 31.68 212.36 26.05ZM212.36 62.11C212.95 67.73 217.7 72.11 223.48 72.11C217.7 72.11 212.95 76.48 212.36 82.11C211.78 76.48 207.03 72.11 201.25 72.11C207.03 72.11 211.78 67.73 212.36 62.11ZM212.36 118.16C211.78 112.54 207.04 108.17 201.28 108.16C207.04 108.16 211.78 103.78 212.36 98.16C212.95 103.78 217.69 108.15 223.46 108.16C217.69 108.17 212.95 112.54 212.36 118.16ZM221.49 144.03C216.64 144.89 212.88 148.88 212.36 153.85C211.86 148.88 208.1 144.89 203.24 144.03C208.1 143.16 211.86 139.17 212.36 134.2C212.88 139.17 216.64 143.16 221.49 144.03ZM212.36 169.89C212.95 175.52 217.7 179.89 223.48 179.89C217.7 179.89 212.95 184.27 212.36 189.89C211.78 184.27 207.03 179.89 201.25 179.89C207.03 179.89 211.78 175.52 212.36 169.89ZM212.36 205.95C212.95 211.57 217.7 215.95 223.48 215.95C217.7 215.95 212.95 220.32 212.36 225.95C211.78 220.32 207.03 215.95 201.25 215.95C207.03 215.95 211.78 211.57 212.36 205.95ZM182.05 24.89C182.06 31.06 187.06 36.05 193.23 36.05C187.06 36.05 182.06 41.05 182.05 47.22C182.04 41.05 177.04 36.05 170.87 36.05C177.04 36.05 182.04 31.06 182.05 24.89ZM182.05 60.95C182.06 67.11 187.06 72.11 193.23 72.11C187.06 72.11 182.06 77.1 182.05 83.27C182.04 77.1 177.04 72.11 170.87 72.11C177.04 72.11 182.04 67.11 182.05 60.95ZM182.05 119.32C182.04 113.16 177.05 108.17 170.9 108.16C177.05 108.16 182.04 103.16 182.05 97C182.06 103.16 187.05 108.15 193.22 108.16C187.05 108.17 182.06 113.16 182.05 119.32ZM191.24 144.03C186.03 144.96 182.06 149.51 182.05 155C182.04 149.51 178.09 144.96 172.86 144.03C178.09 143.09 182.04 138.54 182.05 133.05C182.06 138.54 186.03 143.09 191.24 144.03ZM182.05 168.73C182.06 174.9 187.06 179.89 193.23 179.89C187.06 179.89 182.06 184.89 182.05 191.05C182.04 184.89 177.04 179.89 170.87 179.89C177.04 179.89 182.04 174.9 182.05 168.73ZM182.05 204.79C182.06 210.95 187.06 215.95 193.23 215.95C187.06 215.95 182.06 220.94 182.05 227.11C182.04 220.94 177.04 215.95 170.87 215.95C177.04 215.95 182.04 210.95 182.05 204.79ZM151.79 26.53C152.6 31.92 157.24 36.05 162.85 36.05C157.24 36.05 152.6 40.18 151.79 45.57C150.99 40.18 146.35 36.05 140.74 36.05C146.35 36.05 150.99 31.92 151.79 26.53ZM151.79 62.59C152.6 67.98 157.24 72.11 162.85 72.11C157.24 72.11 152.6 76.24 151.79 81.63C150.99 76.24 146.35 72.11 140.74 72.11C146.35 72.11 150.99 67.98 151.79 62.59ZM151.79 117.68C151 112.3 146.36 108.17 140.76 108.16C146.36 108.16 151 104.02 151.79 98.64C152.6 104.02 157.23 108.15 162.84 108.16C157.23 108.17 152.6 112.3 151.79 117.68ZM160.86 144.03C156.18 144.86 152.5 148.62 151.79 153.35C151.1 148.62 147.41 144.86 142.73 144.03C147.41 143.19 151.1 139.43 151.79 134.7C152.5 139.43 156.18 143.19 160.86 144.03ZM151.79 170.37C152.6 175.76 157.24 179.89 162.85 179.89C157.24 179.89 152.6 184.02 151.79 189.41C150.99 184.02 146.35 179.89 140.74 179.89C146.35 179.89 150.99 175.76 151.79 170.37ZM151.79 206.43C152.6 211.82 157.24 215.95 162.85 215.95C157.24 215.95 152.6 220.08 151.79 225.47C150.99 220.08 146.35 215.95 140.74 215.95C146.35 215.95 150.99 211.82 151.79 206.43ZM121.54 24.89C121.55 31.06 126.55 36.05 132.72 36.05C126.55 36.05 121.55 41.05 121.54 47.21C121.53 41.05 116.53 36.05 110.36 36.05C116.53 36.05 121.53 31.06 121.54 24.89ZM121.54 60.95C121.55 67.11 126.55 72.11 132.72 72.11C126.55 72.11 121.55 77.1 121.54 83.27C121.53 77.1 116.53 72.11 110.36 72.11C116.53 72.11 121.53 67.11 121.54 60.95ZM121.54 119.32C121.53 113.16 116.54 108.17 110.38 108.16C116.54 108.16 121.53 103.16 121.54 97C121.55 103.16 126.54 108.15 132.69 108.16C126.54 108.17 121.55 113.16 121.54 119.32ZM130.73 144.03C125.51 144.96 121.54 149.51 121.54 155C121.53 149.51 117.56 144.96 112.35 144.03C117.56 143.09 121.53 138.54 121.54 133.05C121.54 138.54 125.51 143.09 130.73 144.03ZM121.54 168.73C121.55 174.9 126.55 179.89 132.72 179.89C126.55 179.89 121.55 184.89 121.54 191.05C121.53 184.89 116.53 179.89 110.36 179.89C116.53 179.89 121.53 174.9 121.54 168.73ZM121.54 204.79C121.55 210.95 126.55 215.95 132.72 215.95C126.55 215.95 121.55 220.94 121.54 227.11C121.53 220.94 116.53 215.95 110.36 215.95C116.53 215.95 121.53 210.95 121.54 204.79ZM91.16 24.87C91.16 31.05 96.16 36.05 102.34 36.05C96.16 36.05 91.16 41.06 91.16 47.23C91.16 41.06 86.15 36.05 79.98 36.05C86.15 36.05 91.16 31.05 91.16 24.87ZM91.16 60.93C91.16 67.1 96.16 72.11 102.34 72.11C96.16 72.11 91.16 77.11 91.16 83.29C91.16 77.11 86.15 72.11 79.98 72.11C86.15 72.11 91.16 67.1 91.16 60.93ZM91.16 119.34C91.16 113.17 86.16 108.17 79.99 108.16C86.16 108.16 91.16 103.15 91.16 96.98C91.16 103.15 96.16 108.15 102.31 108.16C96.16 108.17 91.16 113.17 91.16 119.34ZM100.35 144.03C95.12 144.96 91.16 149.52 91.16 155.02C91.16 149.52 87.18 144.96 81.95 144.03C87.18 143.09 91.16 138.53 91.16 133.03C91.16 138.53 95.12 143.09 100.35 144.03ZM91.16 168.71C91.16 174.89 96.16 179.89 102.34 179.89C96.16 179.89 91.16 184.9 91.16 191.07C91.16 184.9 86.15 179.89 79.98 179.89C86.15 179.89 91.16 174.89 91.16 168.71ZM91.16 204.77C91.16 210.94 96.16 215.95 102.34 215.95C96.16 215.95 91.16 220.95 91.16 227.13C91.16 220.95 86.15 215.95 79.98 215.95C86.15 215.95 91.16 210.94 91.16 204.77ZM60.76 24.9C60.79 31.06 65.79 36.05 71.94 36.05C65.79 36.05 60.79 41.05 60.76 47.21C60.75 41.05 55.75 36.05 49.6 36.05C55.75 36.05 60.75 31.06 60.76 24.9ZM60.76 60.95C60.79 67.11 65.79 72.11 71.94 72.11C65.79 72.11 60.79 77.1 60.76 83.26C60.75 77.1 55.75 72.11 49.6 72.11C55.75 72.11 60.75 67.11 60.76 60.95ZM60.76 119.31C60.75 113.16 55.76 108.17 49.61 108.16C55.76 108.16 60.75 103.16 60.76 97.01C60.79 103.16 65.78 108.15 71.92 108.16C65.78 108.17 60.79 113.16 60.76 119.31ZM69.97 144.03C64.74 144.96 60.79 149.51 60.76 154.99C60.75 149.51 56.79 144.96 51.57 144.03C56.79 143.09 60.75 138.54 60.76 133.06C60.79 138.54 64.74 143.09 69.97 144.03ZM60.76 168.74C60.79 174.9 65.79 179.89 71.94 179.89C65.79 179.89 60.79 184.89 60.76 191.05C60.75 184.89 55.75 179.89 49.6 179.89C55.75 179.89 60.75 174.9 60.76 168.74ZM60.76 204.79C60.79 210.95 65.79 215.95 71.94 215.95C65.79 215.95 60.79 220.94 60.76 227.1C60.75 220.94 55.75 215.95 49.6 215.95C55.75 215.95 60.75 210.95 60.76 204.79ZM30.38 24.87C30.38 31.05 35.4 36.05 41.56 36.05C35.4 36.05 30.38 41.06 30.38 47.23C30.38 41.06 25.38 36.05 19.2 36.05C25.38 36.05 30.38 31.05 30.38 24.87ZM30.38 60.93C30.38 67.1 35.4 72.11 41.56 72.11C35.4 72.11 30.38 77.11 30.38 83.29C30.38 77.11 25.38 72.11 19.2 72.11C25.38 72.11 30.38 67.1 30.38 60.93ZM30.38 119.34C30.38 113.17 25.4 108.17 19.23 108.16C25.4 108.16 30.38 103.15 30.38 96.98C30.38 103.15 35.38 108.15 41.54 108.16C35.38 108.17 30.38 113.17 30.38 119.34ZM39.57 144.03C34.35 144.96 30.38 149.52 30.38 155.02C30.38 149.52 26.41 144.96 21.19 144.03C26.41 143.09 30.38 138.53 30.38 133.03C30.38 138.53 34.35 143.09 39.57 144.03ZM30.38 168.71C30.38 174.89 35.4 179.89 41.56 179.89C35.4 179.89 30.38 184.9 30.38 191.07C30.38 184.9 25.38 179.89 19.2 179.89C25.38 179.89 30.38 174.89 30.38 168.71ZM30.38 204.77C30.38 210.94 35.4 215.95 41.56 215.95C35.4 215.95 30.38 220.95 30.38 227.13C30.38 220.95 25.38 215.95 19.2 215.95C25.38 215.95 30.38 210.94 30.38 204.77Z" fill="url(#paint0_linear_3248_5)"/>
@@ -1015,21 +2685,24 @@ function createPopupContent(properties) {
               </defs>
             </svg>
             ${properties.image ? `<img src="${properties.image}" class="popup-background-image" alt="">` : ""}
+            ${createFavouriteButton(properties)}
             <div class="content-wrapper">
-              <div class="popup-title">${properties.name}</div>
-              <div class="popup-description">${properties.description}</div>
-              ${properties.image ? '<button class="impressie-button button-base">Impressie</button>' : ""}
-              <button class="more-info-button button-base">Meer info</button>
+              <div class="popup-title">${name}</div>
+              ${createOpeningStatusBadge(properties)}
+              <div class="popup-description">${description}</div>
+              ${properties.image ? `<button class="impressie-button button-base">${t("popup.impression")}</button>` : ""}
+              ${customLayer.hasPopupAnimation(properties.id) ? `<button class="animation-button button-base">${t("popup.playAnimation")}</button>` : ""}
+              <button class="more-info-button button-base">${t("popup.moreInfo")}</button>
             </div>
           </div>
           
           <div class="popup-side popup-back">
             <div class="content-wrapper">
-              <div class="popup-title details">${properties.name || 'Naam error'}</div>
+              <div class="popup-title details">${name || t("popup.nameError")}</div>
               <div class="info-content">
                 <dl class="contact-container">
                   <div class="info-row">
-                    <dt>ADRESS</dt>
+                    <dt>${t("popup.address")}</dt>
                     <dd>
                       ${properties.locatie ? `
                         <a 
@@ -1037,29 +2710,29 @@ function createPopupContent(properties) {
                           target="_blank" 
                           rel="noopener noreferrer"
                           class="contact-link"
-                          aria-label="Open locatie in Google Maps"
+                          aria-label="${t("popup.openInMaps")}"
                         >
                           ${properties.locatie}
                         </a>
-                      ` : `<span class="error-message">Adres error</span>`}
+                      ` : `<span class="error-message">${t("popup.addressError")}</span>`}
                     </dd>
                   </div>
                   <div class="info-row">
-                    <dt>CONTACT</dt>
+                    <dt>${t("popup.contact")}</dt>
                     <dd>
                       ${properties.telefoonummer ? `
                         <a 
                           href="tel:${properties.telefoonummer}" 
                           class="contact-link"
-                          aria-label="Bel naar ${properties.telefoonummer}"
+                          aria-label="${t("popup.call", { phone: properties.telefoonummer })}"
                         >
                           ${properties.telefoonummer}
                         </a>
-                      ` : `<span class="error-message">Telefoonnummer error</span>`}
+                      ` : `<span class="error-message">${t("popup.phoneError")}</span>`}
                     </dd>
                   </div>
                   <div class="info-row">
-                    <dt>WEBSITE</dt>
+                    <dt>${t("popup.website")}</dt>
                     <dd>
                       ${properties.website ? `
                         <a 
@@ -1067,52 +2740,31 @@ function createPopupContent(properties) {
                           target="_blank" 
                           rel="noopener noreferrer"
                           class="contact-link"
-                          aria-label="Bezoek ${properties.name} website"
+                          aria-label="${t("popup.visitWebsite", { name })}"
                         >
-                          ${properties.name.replace(/^https?:\/\//i, '').toUpperCase()}
+                          ${name.replace(/^https?:\/\//i, '').toUpperCase()}
                         </a>
-                      ` : `<span class="error-message">Website error</span>`}
+                      ` : `<span class="error-message">${t("popup.websiteError")}</span>`}
                     </dd>
                   </div>
                 </dl>
                 
                 <div class="opening-hours">
-                  <h2>OPENINGSTIJDEN</h2>
+                  <h2>${t("popup.openingHours")}</h2>
                   <table>
                     <tbody>
-                      <tr>
-                        <th>MAANDAG</th>
-                        <td>${properties.maandag || '<span class="error-message">Niet beschikbaar</span>'}</td>
-                      </tr>
-                      <tr>
-                        <th>DINSDAG</th>
-                        <td>${properties.dinsdag || '<span class="error-message">Niet beschikbaar</span>'}</td>
-                      </tr>
-                      <tr>
-                        <th>WOENSDAG</th>
-                        <td>${properties.woensdag || '<span class="error-message">Niet beschikbaar</span>'}</td>
-                      </tr>
-                      <tr>
-                        <th>DONDERDAG</th>
-                        <td>${properties.donderdag || '<span class="error-message">Niet beschikbaar</span>'}</td>
-                      </tr>
-                      <tr>
-                        <th>VRIJDAG</th>
-                        <td>${properties.vrijdag || '<span class="error-message">Niet beschikbaar</span>'}</td>
-                      </tr>
-                      <tr>
-                        <th>ZATERDAG</th>
-                        <td>${properties.zaterdag || '<span class="error-message">Niet beschikbaar</span>'}</td>
-                      </tr>
-                      <tr>
-                        <th>ZONDAG</th>
-                        <td>${properties.zondag || '<span class="error-message">Niet beschikbaar</span>'}</td>
-                      </tr>
+                      ${OPENING_DAYS.map(day => `
+                        <tr class="${day === WEEK_DAYS[new Date().getDay()] ? "is--today" : ""}">
+                          <th>${t(`day.${day}`).toUpperCase()}</th>
+                          <td>${properties[day] || `<span class="error-message">${t("popup.notAvailable")}</span>`}</td>
+                        </tr>
+                      `).join("")}
                     </tbody>
                   </table>
                 </div>
               </div>
-              <button class="more-info-button button-base">Terug</button>
+              <button class="more-info-button button-base">${t("popup.back")}</button>
+              ${CONFIG.ROUTING.graphUrl ? `<button class="route-button button-base">${t("route.button")}</button>` : ""}
             </div>
           </div>
         </div>
@@ -1122,9 +2774,41 @@ function createPopupContent(properties) {
 }
 
 /**
- * Set up popup interactions
+ * Show the open popup's play animation button only while its model is loaded with clips
+ */
+function updateAnimationButton() {
+  const button = activePopup && activePopup.getElement().querySelector(".animation-button");
+  if (!button || !activePopupLocation) return;
+  
+  button.style.display = customLayer.isPopupAnimationReady(activePopupLocation.properties.id) ? "" : "none";
+}
+
+/**
+ * Set up popup interactions; isRerender is set when only the content was replaced (language switch)
  */
-function setupPopupInteractions(popup, properties, coordinates) {
+function setupPopupInteractions(popup, properties, coordinates, isRerender = false) {
+  if (!isRerender) {
+    activePopupLocation = { properties, coordinates };
+    updateUrlState();
+    emitMapEvent("locationopen", getLocationEventDetail(properties, coordinates));
+    
+    popup.once("close", () => {
+      if (activePopupLocation && activePopupLocation.properties === properties) {
+        activePopupLocation = null;
+        updateUrlState();
+      }
+      emitMapEvent("locationclose", getLocationEventDetail(properties, coordinates));
+    });
+  }
+  
+  // Start AR buttons
+  popup.getElement().querySelectorAll("[data-ar-link]").forEach(button => {
+    button.addEventListener("click", () => {
+      emitMapEvent("arstart", { ...getLocationEventDetail(properties, coordinates), url: properties.link_ar });
+      window.open(properties.link_ar, "_blank");
+    });
+  });
+  
   const popupElement = popup.getElement();
   const popupContent = popupElement.querySelector(".mapboxgl-popup-content");
   const popupWrapper = popupElement.querySelector(".popup-wrapper");
@@ -1132,6 +2816,9 @@ function setupPopupInteractions(popup, properties, coordinates) {
   const backContent = popupElement.querySelector(".popup-back .content-wrapper");
   const description = popupElement.querySelector(".popup-description");
   const gradient = popupElement.querySelector("#paint0_linear_3248_5");
+  const stepCarousel = popupElement.querySelector(".experience-steps");
+  
+  const syncStepVideos = stepCarousel ? setupStepCarousel(stepCarousel, popup) : null;
   
 
   
@@ -1181,14 +2868,16 @@ function setupPopupInteractions(popup, properties, coordinates) {
   setTimeout(adjustPopupHeight, 10);
   
   // Animate popup appearance
-  popupContent.style.opacity = "0";
-  popupContent.style.transform = "rotate(8deg) translateY(40px) scale(0.4)";
-  
-  requestAnimationFrame(() => {
-    popupContent.style.transition = "all 0.5s cubic-bezier(0.34, 1.56, 0.64, 1)";
-    popupContent.style.opacity = "1";
-    popupContent.style.transform = "rotate(0deg) translateY(0) scale(1)";
-  });
+  if (!isRerender) {
+    popupContent.style.opacity = "0";
+    popupContent.style.transform = "rotate(8deg) translateY(40px) scale(0.4)";
+    
+    requestAnimationFrame(() => {
+      popupContent.style.transition = "all 0.5s cubic-bezier(0.34, 1.56, 0.64, 1)";
+      popupContent.style.opacity = "1";
+      popupContent.style.transform = "rotate(0deg) translateY(0) scale(1)";
+    });
+  }
   
   // Handle scrollable description
   if (description) {
@@ -1280,10 +2969,26 @@ function setupPopupInteractions(popup, properties, coordinates) {
     });
   }
   
+  setupFavouriteButton(popupElement, properties);
+  
+  // Handle animation button click, shown once the model is loaded
+  const animationButton = popupElement.querySelector(".animation-button");
+  if (animationButton) {
+    animationButton.addEventListener("click", () => customLayer.playAnimation(properties.id));
+    updateAnimationButton();
+  }
+  
+  // Handle route button click
+  const routeButton = popupElement.querySelector(".route-button");
+  if (routeButton) {
+    routeButton.addEventListener("click", () => startRoute(properties, coordinates));
+  }
+  
   // Handle info button click (flip card)
   popupElement.querySelectorAll(".more-info-button").forEach(button => {
     button.addEventListener("click", () => {
       popupWrapper.classList.toggle("is-flipped");
+      if (syncStepVideos) syncStepVideos();
     });
   });
   
@@ -1301,14 +3006,23 @@ function setupPopupInteractions(popup, properties, coordinates) {
     });
   });
   
-  // Update height on window resize
+  // Update height on window resize, replacing the handler of a previous popup or render
+  window.removeEventListener("resize", popupResizeHandler);
+  popupResizeHandler = adjustPopupHeight;
   window.addEventListener("resize", adjustPopupHeight);
+  
+  popup.once("close", () => {
+    if (popupResizeHandler !== adjustPopupHeight) return;
+    window.removeEventListener("resize", adjustPopupHeight);
+    popupResizeHandler = null;
+  });
 }
 
 /**
  * Show a fullscreen image popup
  */
 function showImagePopup(properties, coordinates, contentHeight) {
+  activePopupLocation = null;
   const isMobile = window.matchMedia("(max-width: 479px)").matches;
   
   const popup = new mapboxgl.Popup({
@@ -1350,14 +3064,14 @@ function showImagePopup(properties, coordinates, contentHeight) {
       }
     </style>
     <div class="popup-wrapper">
-      <button class="close-button" aria-label="Close popup"></button>
+      <button class="close-button" aria-label="${t("popup.close")}"></button>
       <div class="popup-side">
         <div class="image-container">
-          <img src="${properties.image}" alt="${properties.name}" class="full-image">
+          <img src="${properties.image}" alt="${localized(properties, "name")}" class="full-image">
           <div class="button-container">
-            <button class="back-button">Terug</button>
+            <button class="back-button">${t("popup.back")}</button>
           </div>
-          <div class="location-name">${properties.name}</div>
+          <div class="location-name">${localized(properties, "name")}</div>
         </div>
       </div>
     </div>
@@ -1471,10 +3185,12 @@ function closeItemIfVisible() {
     closeItem();
   }
 }
-// Handle marker click
-map.on("click", "location-markers", async (event) => {
-  const coordinates = event.features[0].geometry.coordinates.slice();
-  const properties = event.features[0].properties;
+/**
+ * Open a location: fly to it and show its popup and sidebar item
+ */
+async function openLocation(feature) {
+  const coordinates = feature.geometry.coordinates.slice();
+  const properties = feature.properties;
   const isFlipped = false;
   const isAR = properties.type === "ar"; // Check of dit een AR marker is
   
@@ -1530,24 +3246,26 @@ map.on("click", "location-markers", async (event) => {
     $(".locations-map_wrapper").addClass("is--show");
       
     // Show current sidebar item
-    const currentItem = $(".locations-map_item").eq(properties.arrayID);
-    currentItem.css({
-      display: "block",
-      opacity: "0",
-      transform: "translateY(40px) scale(0.6)"
-    });
-    
-    // Force reflow
-    currentItem[0].offsetHeight;
-    
-    // Animate sidebar item appearance
-    requestAnimationFrame(() => {
+    const currentItem = getSidebarItem(properties);
+    if (currentItem.length) {
       currentItem.css({
-        transition: "all 400ms cubic-bezier(0.68, -0.55, 0.265, 1.55)",
-        opacity: "1",
-        transform: "translateY(0) scale(1)"
-      }).addClass("is--show");
-    });
+        display: "block",
+        opacity: "0",
+        transform: "translateY(40px) scale(0.6)"
+      });
+      
+      // Force reflow
+      currentItem[0].offsetHeight;
+      
+      // Animate sidebar item appearance
+      requestAnimationFrame(() => {
+        currentItem.css({
+          transition: "all 400ms cubic-bezier(0.68, -0.55, 0.265, 1.55)",
+          opacity: "1",
+          transform: "translateY(0) scale(1)"
+        }).addClass("is--show");
+      });
+    }
   } else {
     // Voor AR markers, verberg de sidebar als deze zichtbaar is
     $(".locations-map_wrapper").removeClass("is--show");
@@ -1588,43 +3306,1955 @@ map.on("click", "location-markers", async (event) => {
   
   // Setup popup interactions
   setupPopupInteractions(popup, properties, coordinates);
+}
+
+// Handle marker click
+map.on("click", "location-markers", event => {
+  openLocation(event.features[0]);
 });
 
-//! ============= MAP INTERACTION HANDLERS =============
+// ============= SEARCH =============
+// Relative weight of a match per searchable field
+const SEARCH_FIELDS = {
+  name: 3,
+  category: 2,
+  locatie: 1.5,
+  description: 1
+};
 
-// Map load event
-map.on("load", () => {
-  loadIcons();
-  addCustomMarkers();
-  setupLocationFilters();
+const SEARCH_MAX_RESULTS = 8;
+
+let searchIndex = [];
+let searchIndexFeatures = null;
+
+/**
+ * Lowercase text and strip accents, so "café" matches "cafe"
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Plain text version of an HTML description
+ */
+function stripHtml(html) {
+  return new DOMParser().parseFromString(html || "", "text/html").body.textContent || "";
+}
+
+/**
+ * Edit distance where swapping two neighbouring letters counts as one typo,
+ * stopping early once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
   
-  // Initial animation on load
-  setTimeout(() => {
-    const finalZoom = window.matchMedia("(max-width: 479px)").matches ? 17 : 18;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
     
-    map.jumpTo({
-      center: CONFIG.MAP.center,
-      zoom: 15,
-      pitch: 0,
-      bearing: 0
-    });
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
     
-    map.flyTo({
-      center: CONFIG.MAP.center,
-      zoom: finalZoom,
-      pitch: 55,
-      bearing: -17.6,
-      duration: 6000,
-      essential: true,
-      easing: t => t * (2 - t) // Ease out quad
-    });
-  }, 5000);
-});
+    if (rowMin > maxDistance) return maxDistance + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
 
-// Close sidebar button
-$(".close-block").on("click", () => {
-  closeItem();
-});
+/**
+ * Build the search index from mapLocations (once per data load)
+ */
+function getSearchIndex() {
+  if (searchIndexFeatures === mapLocations.features) return searchIndex;
+  
+  searchIndex = mapLocations.features.map(feature => {
+    const properties = feature.properties;
+    
+    // Index every language, so a German name also finds the location
+    const fields = {
+      name: LANGUAGES.map(lang => properties[lang === DEFAULT_LANGUAGE ? "name" : `name_${lang}`]).join(" "),
+      category: properties.category,
+      locatie: properties.locatie,
+      description: LANGUAGES
+        .map(lang => stripHtml(properties[lang === DEFAULT_LANGUAGE ? "description" : `description_${lang}`]))
+        .join(" ")
+    };
+    
+    const normalized = {};
+    Object.keys(SEARCH_FIELDS).forEach(field => {
+      const text = normalizeText(fields[field]);
+      normalized[field] = { text, words: text.split(/[^a-z0-9]+/).filter(Boolean) };
+    });
+    
+    return { feature, fields: normalized };
+  });
+  
+  searchIndexFeatures = mapLocations.features;
+  return searchIndex;
+}
+
+/**
+ * Score how well a single query token matches a field
+ */
+function scoreToken(token, field) {
+  if (field.words.some(word => word.startsWith(token))) return 1;
+  if (field.text.includes(token)) return 0.8;
+  if (token.length < 4) return 0;
+  
+  // Allow typos in longer tokens, also while the word is still being typed
+  const maxDistance = token.length < 7 ? 1 : 2;
+  const isClose = field.words.some(word =>
+    editDistance(token, word, maxDistance) <= maxDistance ||
+    editDistance(token, word.slice(0, token.length), maxDistance) <= maxDistance
+  );
+  
+  return isClose ? 0.5 : 0;
+}
+
+/**
+ * Search locations and AR murals; every query word has to match some field
+ */
+function searchLocations(query) {
+  const tokens = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (!tokens.length) return [];
+  
+  return getSearchIndex()
+    .map(entry => {
+      let score = 0;
+      
+      for (const token of tokens) {
+        const best = Math.max(...Object.entries(SEARCH_FIELDS).map(([field, weight]) =>
+          scoreToken(token, entry.fields[field]) * weight
+        ));
+        if (best === 0) return null;
+        score += best;
+      }
+      
+      return { feature: entry.feature, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(result => result.feature);
+}
+
+/**
+ * Highlight matching features on the map
+ */
+function setSearchHighlight(features) {
+  if (!map.getLayer("location-search-highlight")) return;
+  
+  const keys = features.map(feature => getLocationKey(feature.properties));
+  map.setFilter("location-search-highlight", [
+    "in",
+    ["coalesce", ["get", "id"], ["get", "slug"]],
+    ["literal", keys]
+  ]);
+}
+
+/**
+ * Add the highlight ring layer below the marker icons
+ */
+function addSearchHighlightLayer() {
+  if (map.getLayer("location-search-highlight")) return;
+  
+  map.addLayer({
+    id: "location-search-highlight",
+    type: "circle",
+    source: "locations",
+    filter: ["in", ["get", "id"], ["literal", []]],
+    paint: {
+      "circle-color": "rgba(0, 0, 0, 0)",
+      "circle-radius": [
+        "interpolate",
+        ["linear"],
+        ["zoom"],
+        CONFIG.MARKER_ZOOM.min, 6,
+        CONFIG.MARKER_ZOOM.small, 10,
+        CONFIG.MARKER_ZOOM.medium, 16,
+        CONFIG.MARKER_ZOOM.large, 20
+      ],
+      "circle-stroke-width": 3,
+      "circle-stroke-color": ["get", "color"]
+    }
+  }, "location-icons");
+}
+
+/**
+ * Setup the search box with keyboard navigable suggestions
+ */
+function setupSearch() {
+  let container = document.querySelector(".map-search");
+  
+  if (!container) {
+    container = document.createElement("div");
+    container.className = "map-search";
+    document.body.appendChild(container);
+  }
+  
+  container.innerHTML = `
+    <input class="map-search-input" type="search" autocomplete="off"
+      role="combobox" aria-expanded="false" aria-controls="map-search-results"
+      data-i18n-placeholder="search.placeholder" placeholder="${t("search.placeholder")}">
+    <ul class="map-search-results" id="map-search-results" role="listbox"></ul>
+  `;
+  
+  const input = container.querySelector(".map-search-input");
+  const list = container.querySelector(".map-search-results");
+  let results = [];
+  let selectedIndex = -1;
+  
+  const renderResults = () => {
+    input.setAttribute("aria-expanded", String(input.value.trim() !== ""));
+    
+    if (!input.value.trim()) {
+      list.innerHTML = "";
+      return;
+    }
+    
+    if (!results.length) {
+      list.innerHTML = `<li class="map-search-empty">${t("search.noResults")}</li>`;
+      return;
+    }
+    
+    list.innerHTML = results.slice(0, SEARCH_MAX_RESULTS).map((feature, index) => `
+      <li class="map-search-result ${index === selectedIndex ? "is--selected" : ""}"
+        id="map-search-result-${index}" role="option" aria-selected="${index === selectedIndex}" data-index="${index}">
+        <span class="map-search-result-name">${localized(feature.properties, "name")}</span>
+        <span class="map-search-result-meta">${feature.properties.type === "ar" ? t("search.ar") : feature.properties.category || ""}</span>
+      </li>
+    `).join("");
+    
+    input.setAttribute("aria-activedescendant", selectedIndex >= 0 ? `map-search-result-${selectedIndex}` : "");
+  };
+  
+  const selectResult = index => {
+    const feature = results[index];
+    if (!feature) return;
+    
+    input.value = localized(feature.properties, "name");
+    input.blur();
+    input.setAttribute("aria-expanded", "false");
+    results = [];
+    selectedIndex = -1;
+    list.innerHTML = "";
+    setSearchHighlight([]);
+    openLocation(feature);
+  };
+  
+  input.addEventListener("input", () => {
+    results = searchLocations(input.value);
+    selectedIndex = -1;
+    setSearchHighlight(results);
+    renderResults();
+  });
+  
+  input.addEventListener("keydown", event => {
+    const count = Math.min(results.length, SEARCH_MAX_RESULTS);
+    
+    if (event.key === "ArrowDown" && count) {
+      event.preventDefault();
+      selectedIndex = (selectedIndex + 1) % count;
+      renderResults();
+    } else if (event.key === "ArrowUp" && count) {
+      event.preventDefault();
+      selectedIndex = (selectedIndex - 1 + count) % count;
+      renderResults();
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      selectResult(selectedIndex >= 0 ? selectedIndex : 0);
+    } else if (event.key === "Escape") {
+      input.value = "";
+      results = [];
+      setSearchHighlight([]);
+      renderResults();
+    }
+  });
+  
+  // mousedown fires before the input loses focus
+  list.addEventListener("mousedown", event => {
+    const item = event.target.closest(".map-search-result");
+    if (!item) return;
+    
+    event.preventDefault();
+    selectResult(parseInt(item.dataset.index, 10));
+  });
+}
+
+// ============= LOCATION LIST =============
+/**
+ * Format a distance in km for display
+ */
+function formatDistance(distanceKm) {
+  if (distanceKm < 1) return `${Math.round(distanceKm * 1000)} m`;
+  return `${distanceKm.toFixed(1).replace(".", currentLanguage === "en" ? "." : ",")} km`;
+}
+
+/**
+ * Find the sidebar item belonging to a location by its locationID,
+ * read from a data-location-id attribute or a #locationID input inside the item
+ */
+function getSidebarItem(properties) {
+  return $(".locations-map_item").filter((index, item) => {
+    const idInput = item.querySelector("#locationID");
+    return item.dataset.locationId === properties.id || (idInput && idInput.value === properties.id);
+  }).first();
+}
+
+/**
+ * Highlight a single marker while its list row is hovered
+ */
+function setListHighlight(properties) {
+  if (!map.getLayer("location-list-highlight")) return;
+  
+  map.setFilter("location-list-highlight", [
+    "==",
+    ["coalesce", ["get", "id"], ["get", "slug"]],
+    properties ? getLocationKey(properties) : ""
+  ]);
+}
+
+/**
+ * Add the hover highlight layer below the marker icons
+ */
+function addListHighlightLayer() {
+  if (map.getLayer("location-list-highlight")) return;
+  
+  map.addLayer({
+    id: "location-list-highlight",
+    type: "circle",
+    source: "locations",
+    filter: ["==", ["get", "id"], ""],
+    paint: {
+      "circle-color": ["get", "color"],
+      "circle-opacity": 0.35,
+      "circle-radius": [
+        "interpolate",
+        ["linear"],
+        ["zoom"],
+        CONFIG.MARKER_ZOOM.min, 8,
+        CONFIG.MARKER_ZOOM.small, 14,
+        CONFIG.MARKER_ZOOM.medium, 20,
+        CONFIG.MARKER_ZOOM.large, 26
+      ]
+    }
+  }, "location-icons");
+}
+
+/**
+ * Setup the list panel and its toggle button
+ */
+function setupLocationList() {
+  const panel = document.createElement("div");
+  panel.className = "location-list-panel";
+  panel.innerHTML = `
+    <div class="location-list-header">
+      <strong class="location-list-title" data-i18n="list.title">${t("list.title")}</strong>
+      <span class="location-list-sort"></span>
+    </div>
+    <ul class="location-list"></ul>
+  `;
+  
+  const toggle = document.createElement("button");
+  toggle.className = "location-list-toggle";
+  toggle.dataset.i18n = "list.toggle";
+  toggle.textContent = t("list.toggle");
+  toggle.addEventListener("click", () => {
+    panel.classList.toggle("is--show");
+    updateLocationList();
+  });
+  
+  const list = panel.querySelector(".location-list");
+  
+  list.addEventListener("mouseover", event => {
+    const row = event.target.closest(".location-list-row");
+    const feature = row && findLocation(row.dataset.locationKey);
+    setListHighlight(feature ? feature.properties : null);
+  });
+  
+  list.addEventListener("mouseleave", () => setListHighlight(null));
+  
+  list.addEventListener("click", event => {
+    const row = event.target.closest(".location-list-row");
+    const feature = row && findLocation(row.dataset.locationKey);
+    if (feature) openLocation(feature);
+  });
+  
+  document.body.appendChild(panel);
+  document.body.appendChild(toggle);
+  
+  map.on("moveend", updateLocationList);
+  geolocationManager.geolocateControl.on("geolocate", updateLocationList);
+  geolocationManager.geolocateControl.on("trackuserlocationend", updateLocationList);
+  
+  updateLocationList();
+}
+
+/**
+ * Render the locations in view, filtered like the map and sorted by distance
+ */
+function updateLocationList() {
+  const panel = document.querySelector(".location-list-panel");
+  if (!panel || !panel.classList.contains("is--show")) return;
+  
+  const bounds = map.getBounds();
+  const userPosition = geolocationManager.userPosition;
+  const origin = userPosition || map.getCenter().toArray();
+  
+  const rows = mapLocations.features
+    .filter(feature => bounds.contains(feature.geometry.coordinates) && matchesMapFilters(feature.properties))
+    .map(feature => {
+      const [lng, lat] = feature.geometry.coordinates;
+      return { feature, distance: calculateDistance(origin[1], origin[0], lat, lng) };
+    })
+    .sort((a, b) => a.distance - b.distance);
+  
+  panel.querySelector(".location-list-sort").textContent = t(userPosition ? "list.fromUser" : "list.fromCenter");
+  
+  panel.querySelector(".location-list").innerHTML = rows.length
+    ? rows.map(({ feature, distance }) => `
+        <li class="location-list-row" data-location-key="${getLocationKey(feature.properties)}">
+          <span class="location-list-color" style="background: ${feature.properties.color}"></span>
+          <span class="location-list-name">${localized(feature.properties, "name")}</span>
+          <span class="location-list-distance">${formatDistance(distance)}</span>
+        </li>
+      `).join("")
+    : `<li class="location-list-empty">${t("list.empty")}</li>`;
+}
+
+// ============= WALKING TOURS =============
+// Themed tours: ordered stops (location ids or AR slugs) and a path, read from the
+// #tour-list CMS collection, CONFIG.TOURS.url and the inline configs below.
+// Without a path the route is drawn as straight lines between the stops.
+//
+// {
+//   id: 'murals',
+//   name: 'Murals route',
+//   name_en: 'Murals route',
+//   stops: ['<location id or AR slug>', ...],
+//   path: [[5.9801, 50.8882], ...] // [lng, lat], or a GeoJSON LineString
+// }
+// Stops that are not in the loaded locations are skipped with a warning.
+const tourConfigs = [];
+
+// CMS fields of a tour; stops are ids separated by commas or new lines, the path is
+// a GeoJSON LineString or a [[lng, lat], ...] array
+const TOUR_FIELDS = ["tour_id", "tour_name", "tour_stops", "tour_path"];
+const TOUR_LOCALIZED_FIELDS = { name: "tour_name" };
+
+const WALKING_SPEED_KMH = 4.5;
+const TOUR_STORAGE_KEY = "heerlenMapTours";
+
+let tours = [];
+let activeTour = null;
+
+/**
+ * [lng, lat] coordinates from a path array, GeoJSON LineString or Feature, or their JSON text
+ */
+function parseTourPath(value) {
+  if (!value) return null;
+  
+  try {
+    const path = typeof value === "string" ? JSON.parse(value) : value;
+    const geometry = path.type === "Feature" ? path.geometry : path;
+    const coordinates = geometry.type === "LineString" ? geometry.coordinates : geometry;
+    return Array.isArray(coordinates) ? coordinates : null;
+  } catch (error) {
+    console.warn("Invalid tour path:", value);
+    return null;
+  }
+}
+
+/**
+ * Load tours from CMS
+ */
+function getTourData() {
+  const list = document.getElementById("tour-list");
+  if (!list) return [];
+  
+  return Array.from(list.children).map(element => {
+    const tourData = readCMSFields(element, [...TOUR_FIELDS, ...getLocalizedFieldIds(TOUR_LOCALIZED_FIELDS)]);
+    return {
+      id: tourData.tour_id,
+      name: tourData.tour_name,
+      stops: tourData.tour_stops.split(/[\n,]+/).map(stop => stop.trim()).filter(Boolean),
+      path: tourData.tour_path,
+      ...getLocalizedProperties(tourData, TOUR_LOCALIZED_FIELDS)
+    };
+  });
+}
+
+/**
+ * Load tours from the CMS and CONFIG.TOURS.url and merge them with the inline configs
+ */
+async function loadTours() {
+  let remoteTours = [];
+  
+  if (CONFIG.TOURS.url) {
+    try {
+      const data = await fetchJSON(CONFIG.TOURS.url);
+      remoteTours = Array.isArray(data) ? data : (data && data.tours) || [];
+      
+      if (!Array.isArray(remoteTours)) {
+        console.warn("Tours feed is not an array of tours:", data);
+        remoteTours = [];
+      }
+    } catch (error) {
+      console.error("Error loading tours:", error);
+    }
+  }
+  
+  tours = [...tourConfigs, ...getTourData(), ...remoteTours]
+    .filter(config => {
+      if (config && Array.isArray(config.stops)) return true;
+      console.warn("Skipping tour without stops:", config);
+      return false;
+    })
+    .map(config => {
+      const stops = config.stops.map(findLocation).filter(Boolean);
+      if (stops.length < config.stops.length) {
+        console.warn(`Tour "${config.id}" has ${config.stops.length - stops.length} unknown stop(s)`);
+      }
+      
+      const configPath = parseTourPath(config.path);
+      const path = configPath && configPath.length > 1
+        ? configPath
+        : stops.map(feature => feature.geometry.coordinates);
+      
+      return { ...config, stops, path, distance: getPathDistance(path) };
+    })
+    .filter(tour => {
+      if (tour.stops.length > 0) return true;
+      console.warn(`Tour "${tour.id}" skipped: none of its stops are loaded locations`);
+      return false;
+    });
+  
+  return tours;
+}
+
+/**
+ * Length of a [lng, lat] path in km
+ */
+function getPathDistance(path) {
+  let distance = 0;
+  for (let i = 1; i < path.length; i++) {
+    distance += calculateDistance(path[i - 1][1], path[i - 1][0], path[i][1], path[i][0]);
+  }
+  return distance;
+}
+
+/**
+ * Estimated walking time in minutes for a distance in km
+ */
+function getWalkingMinutes(distanceKm) {
+  return Math.max(1, Math.round(distanceKm / WALKING_SPEED_KMH * 60));
+}
+
+/**
+ * Read saved tour progress from localStorage
+ */
+function getTourProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(TOUR_STORAGE_KEY)) || { activeTourId: null, stops: {} };
+  } catch (error) {
+    return { activeTourId: null, stops: {} };
+  }
+}
+
+/**
+ * Save tour progress to localStorage
+ */
+function saveTourProgress() {
+  // Shared itineraries are not kept between visits
+  if (activeTour && activeTour.tour.id === ITINERARY_TOUR_ID) return;
+  
+  const progress = getTourProgress();
+  progress.activeTourId = activeTour ? activeTour.tour.id : null;
+  
+  if (activeTour) {
+    progress.stops[activeTour.tour.id] = activeTour.stopIndex;
+  }
+  
+  writeStorage(TOUR_STORAGE_KEY, JSON.stringify(progress));
+}
+
+/**
+ * Add the route source and line layer below the location markers
+ */
+function addTourLayer() {
+  if (map.getSource("tour-route")) return;
+  
+  map.addSource("tour-route", {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] }
+  });
+  
+  map.addLayer({
+    id: "tour-route-line",
+    type: "line",
+    source: "tour-route",
+    layout: {
+      "line-join": "round",
+      "line-cap": "round"
+    },
+    paint: {
+      "line-color": "#4B83F2",
+      "line-width": 4,
+      "line-opacity": 0.8,
+      "line-dasharray": [1, 1.5]
+    }
+  }, "location-markers");
+}
+
+/**
+ * Start a tour, optionally resuming at a saved stop
+ */
+function startTour(tourId, stopIndex = 0, flyToStop = true) {
+  const tour = tours.find(item => item.id === tourId);
+  if (!tour) return;
+  
+  activeTour = { tour, stopIndex: Math.min(stopIndex, tour.stops.length - 1) };
+  
+  map.getSource("tour-route").setData({
+    type: "Feature",
+    properties: {},
+    geometry: { type: "LineString", coordinates: tour.path }
+  });
+  
+  saveTourProgress();
+  renderTourPanel();
+  
+  if (flyToStop) {
+    openLocation(tour.stops[activeTour.stopIndex]);
+  }
+}
+
+/**
+ * Step forwards or backwards through the active tour
+ */
+function goToTourStop(step) {
+  if (!activeTour) return;
+  
+  const nextIndex = activeTour.stopIndex + step;
+  if (nextIndex < 0 || nextIndex >= activeTour.tour.stops.length) return;
+  
+  activeTour.stopIndex = nextIndex;
+  saveTourProgress();
+  renderTourPanel();
+  openLocation(activeTour.tour.stops[nextIndex]);
+}
+
+/**
+ * End the active tour and remove the route
+ */
+function endTour() {
+  const tourId = activeTour && activeTour.tour.id;
+  
+  activeTour = null;
+  map.getSource("tour-route").setData({ type: "FeatureCollection", features: [] });
+  saveTourProgress();
+  renderTourPanel();
+  
+  if (tourId === ITINERARY_TOUR_ID) {
+    clearItinerary();
+  }
+}
+
+/**
+ * Render the tour picker, or the step controls while a tour is active
+ */
+function renderTourPanel() {
+  let panel = document.querySelector(".tour-panel");
+  
+  if (!tours.length) {
+    if (panel) panel.remove();
+    return;
+  }
+  
+  if (!panel) {
+    panel = document.createElement("div");
+    panel.className = "tour-panel";
+    document.body.appendChild(panel);
+    
+    panel.addEventListener("click", event => {
+      const button = event.target.closest("button");
+      if (!button) return;
+      
+      const action = button.dataset.tourAction;
+      if (action === "start") startTour(button.dataset.tourId, getTourProgress().stops[button.dataset.tourId] || 0);
+      if (action === "previous") goToTourStop(-1);
+      if (action === "next") goToTourStop(1);
+      if (action === "end") endTour();
+    });
+  }
+  
+  const summary = tour => t("tour.summary", {
+    distance: formatDistance(tour.distance),
+    minutes: getWalkingMinutes(tour.distance)
+  });
+  
+  if (!activeTour) {
+    panel.classList.remove("is--active");
+    panel.innerHTML = `
+      <strong class="tour-panel-title">${t("tour.title")}</strong>
+      ${tours.map(tour => `
+        <button class="tour-option" data-tour-action="start" data-tour-id="${tour.id}">
+          <span class="tour-option-name">${localized(tour, "name")}</span>
+          <span class="tour-option-summary">${summary(tour)}</span>
+        </button>
+      `).join("")}
+    `;
+    return;
+  }
+  
+  const { tour, stopIndex } = activeTour;
+  const stop = tour.stops[stopIndex];
+  
+  panel.classList.add("is--active");
+  panel.innerHTML = `
+    <strong class="tour-panel-title">${localized(tour, "name")}</strong>
+    <span class="tour-option-summary">${summary(tour)}</span>
+    <span class="tour-stop">${t("tour.stop", { current: stopIndex + 1, total: tour.stops.length })}: ${localized(stop.properties, "name")}</span>
+    <div class="tour-controls">
+      <button data-tour-action="previous" ${stopIndex === 0 ? "disabled" : ""}>${t("tour.previous")}</button>
+      <button data-tour-action="next" ${stopIndex === tour.stops.length - 1 ? "disabled" : ""}>${t("tour.next")}</button>
+    </div>
+    <button class="tour-end" data-tour-action="end">${t("tour.end")}</button>
+  `;
+}
+
+/**
+ * Load tours, draw the route layer and resume a tour from a previous visit
+ */
+async function setupTours() {
+  addTourLayer();
+  await loadTours();
+  
+  const progress = getTourProgress();
+  if (progress.activeTourId && tours.some(tour => tour.id === progress.activeTourId)) {
+    startTour(progress.activeTourId, progress.stops[progress.activeTourId] || 0, false);
+  } else {
+    renderTourPanel();
+  }
+}
+
+// ============= WALKING ROUTES =============
+// Pedestrian graph of the centre, preprocessed into a static file (CONFIG.ROUTING.graphUrl):
+// { "nodes": [[lng, lat], ...], "edges": [[fromIndex, toIndex], ...] }
+// Edges are walkable both ways; lengths are computed on load.
+let pedestrianGraph = null;
+let activeRoute = null;
+
+// Off-route tracking, so a user walking beside the path doesn't rerun A* on every position
+let offRouteFixes = 0;
+let lastRerouteTime = 0;
+let isRerouting = false;
+
+/**
+ * Min-heap keyed on priority, used by the A* search
+ */
+class PriorityQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let index = this.items.length - 1;
+    
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.items[parent].priority <= this.items[index].priority) break;
+      [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    
+    if (this.items.length) {
+      this.items[0] = last;
+      let index = 0;
+      
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+        
+        [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+        index = smallest;
+      }
+    }
+    
+    return top.value;
+  }
+}
+
+/**
+ * Load the pedestrian graph once and build an adjacency list
+ */
+function loadPedestrianGraph() {
+  if (!pedestrianGraph) {
+    pedestrianGraph = fetchJSON(CONFIG.ROUTING.graphUrl).then(data => {
+      const adjacency = data.nodes.map(() => []);
+      
+      data.edges.forEach(([from, to]) => {
+        const [lng1, lat1] = data.nodes[from];
+        const [lng2, lat2] = data.nodes[to];
+        const length = calculateDistance(lat1, lng1, lat2, lng2);
+        adjacency[from].push({ node: to, length });
+        adjacency[to].push({ node: from, length });
+      });
+      
+      return { nodes: data.nodes, adjacency };
+    });
+    
+    // Allow a retry after a failed download
+    pedestrianGraph.catch(() => {
+      pedestrianGraph = null;
+    });
+  }
+  
+  return pedestrianGraph;
+}
+
+/**
+ * Index of the graph node closest to a [lng, lat] position
+ */
+function findNearestNode(graph, position) {
+  let nearest = -1;
+  let nearestDistance = Infinity;
+  
+  graph.nodes.forEach(([lng, lat], index) => {
+    const distance = calculateDistance(position[1], position[0], lat, lng);
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  });
+  
+  return nearest;
+}
+
+/**
+ * A* search over the pedestrian graph; returns the node indices or null
+ */
+function findGraphPath(graph, start, goal) {
+  const [goalLng, goalLat] = graph.nodes[goal];
+  const heuristic = node => calculateDistance(graph.nodes[node][1], graph.nodes[node][0], goalLat, goalLng);
+  
+  const queue = new PriorityQueue();
+  const costs = new Map([[start, 0]]);
+  const previous = new Map();
+  queue.push(start, heuristic(start));
+  
+  while (queue.size) {
+    const node = queue.pop();
+    
+    if (node === goal) {
+      const path = [goal];
+      while (previous.has(path[0])) {
+        path.unshift(previous.get(path[0]));
+      }
+      return path;
+    }
+    
+    graph.adjacency[node].forEach(edge => {
+      const cost = costs.get(node) + edge.length;
+      if (cost < (costs.has(edge.node) ? costs.get(edge.node) : Infinity)) {
+        costs.set(edge.node, cost);
+        previous.set(edge.node, node);
+        queue.push(edge.node, cost + heuristic(edge.node));
+      }
+    });
+  }
+  
+  return null;
+}
+
+/**
+ * Distance in km from a point to the nearest segment of a [lng, lat] line
+ */
+function distanceToLine(point, line) {
+  // Local flat projection in km, accurate enough at city scale
+  const kmPerLng = 111.32 * Math.cos(point[1] * Math.PI / 180);
+  const kmPerLat = 110.574;
+  const project = ([lng, lat]) => [(lng - point[0]) * kmPerLng, (lat - point[1]) * kmPerLat];
+  
+  let minDistance = Infinity;
+  
+  for (let i = 1; i < line.length; i++) {
+    const [x1, y1] = project(line[i - 1]);
+    const [x2, y2] = project(line[i]);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    
+    // Closest point on the segment to the origin (the projected point)
+    const ratio = lengthSquared ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSquared)) : 0;
+    minDistance = Math.min(minDistance, Math.hypot(x1 + ratio * dx, y1 + ratio * dy));
+  }
+  
+  return minDistance;
+}
+
+/**
+ * Add the route source and line layer below the location markers
+ */
+function addWalkingRouteLayer() {
+  if (map.getSource("walking-route")) return;
+  
+  map.addSource("walking-route", {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] }
+  });
+  
+  map.addLayer({
+    id: "walking-route-line",
+    type: "line",
+    source: "walking-route",
+    layout: {
+      "line-join": "round",
+      "line-cap": "round"
+    },
+    paint: {
+      "line-color": "#4B83F2",
+      "line-width": 5,
+      "line-opacity": 0.9
+    }
+  }, "location-markers");
+}
+
+/**
+ * Compute and draw a walking route from the user to a location
+ */
+async function startRoute(properties, coordinates) {
+  const userPosition = geolocationManager.userPosition;
+  
+  if (!userPosition) {
+    geolocationManager.showNotification(t("route.needsLocation"));
+    geolocationManager.geolocateControl.trigger();
+    return;
+  }
+  
+  try {
+    const graph = await loadPedestrianGraph();
+    const nodePath = findGraphPath(graph, findNearestNode(graph, userPosition), findNearestNode(graph, coordinates));
+    
+    if (!nodePath) {
+      geolocationManager.showNotification(t("route.notFound"));
+      return;
+    }
+    
+    const line = [userPosition, ...nodePath.map(node => graph.nodes[node]), coordinates];
+    activeRoute = { properties, coordinates, line, distance: getPathDistance(line) };
+    
+    addWalkingRouteLayer();
+    map.getSource("walking-route").setData({
+      type: "Feature",
+      properties: {},
+      geometry: { type: "LineString", coordinates: line }
+    });
+    
+    renderRouteInfo();
+  } catch (error) {
+    console.error("Error calculating route:", error);
+    geolocationManager.showNotification(t("route.notFound"));
+  }
+}
+
+/**
+ * Remove the active route from the map
+ */
+function clearRoute() {
+  activeRoute = null;
+  
+  if (map.getSource("walking-route")) {
+    map.getSource("walking-route").setData({ type: "FeatureCollection", features: [] });
+  }
+  renderRouteInfo();
+}
+
+/**
+ * Show distance and ETA of the active route
+ */
+function renderRouteInfo() {
+  let info = document.querySelector(".route-info");
+  
+  if (!activeRoute) {
+    if (info) info.remove();
+    return;
+  }
+  
+  if (!info) {
+    info = document.createElement("div");
+    info.className = "route-info";
+    document.body.appendChild(info);
+  }
+  
+  info.innerHTML = `
+    <div class="route-info-text">
+      <strong>${localized(activeRoute.properties, "name")}</strong>
+      <span>${t("route.summary", {
+        distance: formatDistance(activeRoute.distance),
+        minutes: getWalkingMinutes(activeRoute.distance)
+      })}</span>
+    </div>
+    <button class="route-info-close" aria-label="${t("route.close")}">×</button>
+  `;
+  
+  info.querySelector(".route-info-close").addEventListener("click", clearRoute);
+}
+
+/**
+ * Follow the user along the route: finish on arrival, recalculate when off the path
+ */
+function updateRouteProgress() {
+  const userPosition = geolocationManager.userPosition;
+  if (!activeRoute || !userPosition) return;
+  
+  const [lng, lat] = activeRoute.coordinates;
+  const distanceToDestination = calculateDistance(userPosition[1], userPosition[0], lat, lng);
+  
+  if (distanceToDestination * 1000 <= geolocationManager.radiusInMeters) {
+    geolocationManager.showNotification(t("route.arrived"), "info");
+    clearRoute();
+    return;
+  }
+  
+  if (distanceToLine(userPosition, activeRoute.line) <= CONFIG.ROUTING.offRouteDistance) {
+    offRouteFixes = 0;
+    return;
+  }
+  
+  offRouteFixes++;
+  const coolingDown = Date.now() - lastRerouteTime < CONFIG.ROUTING.rerouteCooldown * 1000;
+  if (isRerouting || coolingDown || offRouteFixes < CONFIG.ROUTING.rerouteFixes) return;
+  
+  offRouteFixes = 0;
+  lastRerouteTime = Date.now();
+  isRerouting = true;
+  startRoute(activeRoute.properties, activeRoute.coordinates).finally(() => {
+    isRerouting = false;
+  });
+}
+
+// Runs after GeolocationManager.handleUserLocation has stored the new position
+geolocationManager.geolocateControl.on("geolocate", updateRouteProgress);
+
+// ============= FAVOURITES =============
+const FAVOURITES_STORAGE_KEY = "heerlenMapFavourites";
+const ITINERARY_TOUR_ID = "itinerary";
+
+// Location keys (id or AR slug) in the order they were saved
+let favourites = loadFavourites();
+
+// Keys from a shared itinerary link, shown instead of all locations
+let itineraryKeys = null;
+
+/**
+ * Read favourites from localStorage
+ */
+function loadFavourites() {
+  try {
+    return JSON.parse(localStorage.getItem(FAVOURITES_STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Check if a location is a favourite
+ */
+function isFavourite(properties) {
+  return favourites.includes(getLocationKey(properties));
+}
+
+/**
+ * Add or remove a location from the favourites
+ */
+function toggleFavourite(properties) {
+  const key = getLocationKey(properties);
+  
+  favourites = isFavourite(properties)
+    ? favourites.filter(favourite => favourite !== key)
+    : [...favourites, key];
+  
+  writeStorage(FAVOURITES_STORAGE_KEY, JSON.stringify(favourites));
+  
+  if (activeFacets.has("favourites")) {
+    applyMapFilters();
+  } else {
+    updateFilterBar();
+  }
+  updateShareFavouritesButton();
+}
+
+/**
+ * Render the heart toggle for the popup front
+ */
+function createFavouriteButton(properties) {
+  const active = isFavourite(properties);
+  
+  return `<button class="favourite-button ${active ? "is--active" : ""}" aria-pressed="${active}"
+    aria-label="${t(active ? "favourites.remove" : "favourites.add")}"></button>`;
+}
+
+/**
+ * Wire the heart toggle in a popup
+ */
+function setupFavouriteButton(popupElement, properties) {
+  const button = popupElement.querySelector(".favourite-button");
+  if (!button) return;
+  
+  button.addEventListener("click", event => {
+    event.stopPropagation();
+    toggleFavourite(properties);
+    
+    const active = isFavourite(properties);
+    button.classList.toggle("is--active", active);
+    button.setAttribute("aria-pressed", String(active));
+    button.setAttribute("aria-label", t(active ? "favourites.remove" : "favourites.add"));
+  });
+}
+
+/**
+ * Link that opens the favourites, in order, as an itinerary
+ */
+function getItineraryUrl() {
+  const keys = favourites.map(encodeURIComponent).join(",");
+  return `${window.location.origin}${window.location.pathname}${window.location.search}#itinerary=${keys}`;
+}
+
+/**
+ * Share the favourites link, or copy it when sharing isn't supported
+ */
+async function shareFavourites() {
+  if (!favourites.length) {
+    geolocationManager.showNotification(t("favourites.empty"));
+    return;
+  }
+  
+  const url = getItineraryUrl();
+  
+  try {
+    if (navigator.share) {
+      await navigator.share({ title: t("favourites.filter"), url });
+    } else {
+      await navigator.clipboard.writeText(url);
+      geolocationManager.showNotification(t("favourites.copied"), "info");
+    }
+  } catch (error) {
+    // Share sheet dismissed
+    if (error.name !== "AbortError") console.error("Error sharing favourites:", error);
+  }
+}
+
+/**
+ * Only show the share button when there is something to share
+ */
+function updateShareFavouritesButton() {
+  const button = document.querySelector(".filter-btn[data-filter='share-favourites']");
+  if (button) {
+    button.style.display = favourites.length ? "" : "none";
+  }
+}
+
+/**
+ * Show a shared itinerary: only its places, as a tour in the shared order
+ */
+function showItinerary(keys) {
+  const stops = keys.map(findLocation).filter(Boolean);
+  if (!stops.length) return;
+  
+  itineraryKeys = stops.map(feature => getLocationKey(feature.properties));
+  applyMapFilters();
+  
+  // Reuse the tour controls to step through the places
+  const path = stops.map(feature => feature.geometry.coordinates);
+  tours = tours.filter(tour => tour.id !== ITINERARY_TOUR_ID);
+  tours.push({
+    id: ITINERARY_TOUR_ID,
+    name: t("favourites.itinerary"),
+    stops,
+    path,
+    distance: getPathDistance(path)
+  });
+  startTour(ITINERARY_TOUR_ID, 0, false);
+  
+  const bounds = new mapboxgl.LngLatBounds();
+  path.forEach(coordinates => bounds.extend(coordinates));
+  map.fitBounds(bounds, { padding: 80, maxZoom: 17, duration: 1500 });
+}
+
+/**
+ * Leave the shared itinerary and show all locations again
+ */
+function clearItinerary() {
+  if (!itineraryKeys) return;
+  
+  itineraryKeys = null;
+  tours = tours.filter(tour => tour.id !== ITINERARY_TOUR_ID);
+  applyMapFilters();
+  renderTourPanel();
+  updateUrlState();
+}
+
+// ============= DISCOVERY PROGRESS =============
+const CHECK_INS_STORAGE_KEY = "heerlenMapCheckIns";
+
+// Location key -> ISO timestamp of the first visit
+let checkIns = loadCheckIns();
+
+/**
+ * Read check-ins from localStorage
+ */
+function loadCheckIns() {
+  try {
+    return JSON.parse(localStorage.getItem(CHECK_INS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Record a visit when the user is within range of a location (first visit only)
+ */
+function recordCheckIn(feature) {
+  const key = getLocationKey(feature.properties);
+  if (!key || checkIns[key]) return;
+  
+  const earnedBefore = getEarnedBadges().map(badge => badge.id);
+  
+  checkIns[key] = new Date().toISOString();
+  writeStorage(CHECK_INS_STORAGE_KEY, JSON.stringify(checkIns));
+  
+  geolocationManager.showNotification(t("discovery.checkIn", { name: localized(feature.properties, "name") }), "info");
+  
+  getEarnedBadges()
+    .filter(badge => !earnedBefore.includes(badge.id))
+    .forEach(badge => geolocationManager.showNotification(t("discovery.badgeEarned", { badge: badge.name }), "info"));
+  
+  updateVisitedLayer();
+  renderDiscoveryPanel();
+}
+
+/**
+ * Visited and total counts per group: AR murals and every location category
+ */
+function getDiscoveryProgress() {
+  const groups = new Map();
+  
+  mapLocations.features.forEach(feature => {
+    const isAR = feature.properties.type === "ar";
+    const groupId = isAR ? "ar" : feature.properties.category;
+    if (!groupId) return;
+    
+    if (!groups.has(groupId)) {
+      groups.set(groupId, {
+        id: groupId,
+        name: isAR ? t("discovery.arGroup") : groupId,
+        visited: 0,
+        total: 0
+      });
+    }
+    
+    const group = groups.get(groupId);
+    group.total++;
+    if (checkIns[getLocationKey(feature.properties)]) group.visited++;
+  });
+  
+  return Array.from(groups.values());
+}
+
+/**
+ * Badges the user has earned with the current check-ins
+ */
+function getEarnedBadges() {
+  const groups = getDiscoveryProgress();
+  const visited = groups.reduce((sum, group) => sum + group.visited, 0);
+  const total = groups.reduce((sum, group) => sum + group.total, 0);
+  const arGroup = groups.find(group => group.id === "ar");
+  
+  const badges = [
+    { id: "first", name: t("badge.first"), earned: visited > 0 },
+    { id: "ar-all", name: t("badge.arAll"), earned: Boolean(arGroup) && arGroup.visited === arGroup.total },
+    { id: "explorer", name: t("badge.explorer"), earned: total > 0 && visited >= total / 2 },
+    { id: "complete", name: t("badge.complete"), earned: total > 0 && visited === total },
+    ...groups
+      .filter(group => group.id !== "ar")
+      .map(group => ({
+        id: `category-${group.id}`,
+        name: t("badge.category", { category: group.name }),
+        earned: group.visited === group.total
+      }))
+  ];
+  
+  return badges.filter(badge => badge.earned);
+}
+
+/**
+ * Add a small marker next to visited locations
+ */
+function addVisitedLayer() {
+  if (map.getLayer("location-visited")) return;
+  
+  map.addLayer({
+    id: "location-visited",
+    type: "circle",
+    source: "locations",
+    filter: ["in", ["coalesce", ["get", "id"], ["get", "slug"]], ["literal", []]],
+    paint: {
+      "circle-color": "#4cd964",
+      "circle-radius": [
+        "interpolate",
+        ["linear"],
+        ["zoom"],
+        CONFIG.MARKER_ZOOM.min, 1,
+        CONFIG.MARKER_ZOOM.small, 3,
+        CONFIG.MARKER_ZOOM.medium, 4,
+        CONFIG.MARKER_ZOOM.large, 5
+      ],
+      "circle-translate": [10, -10],
+      "circle-stroke-width": 1,
+      "circle-stroke-color": "#ffffff"
+    }
+  });
+  
+  updateVisitedLayer();
+}
+
+/**
+ * Show the visited state for every checked-in location
+ */
+function updateVisitedLayer() {
+  if (!map.getLayer("location-visited")) return;
+  
+  map.setFilter("location-visited", [
+    "in",
+    ["coalesce", ["get", "id"], ["get", "slug"]],
+    ["literal", Object.keys(checkIns)]
+  ]);
+}
+
+/**
+ * Setup the discovery panel and its toggle button
+ */
+function setupDiscoveryPanel() {
+  const panel = document.createElement("div");
+  panel.className = "discovery-panel";
+  
+  const toggle = document.createElement("button");
+  toggle.className = "discovery-toggle";
+  toggle.dataset.i18n = "discovery.toggle";
+  toggle.textContent = t("discovery.toggle");
+  toggle.addEventListener("click", () => {
+    panel.classList.toggle("is--show");
+    renderDiscoveryPanel();
+  });
+  
+  document.body.appendChild(panel);
+  document.body.appendChild(toggle);
+}
+
+/**
+ * Render progress per group and the earned badges
+ */
+function renderDiscoveryPanel() {
+  const panel = document.querySelector(".discovery-panel");
+  if (!panel || !panel.classList.contains("is--show")) return;
+  
+  const badges = getEarnedBadges();
+  
+  panel.innerHTML = `
+    <strong class="discovery-title">${t("discovery.title")}</strong>
+    <ul class="discovery-groups">
+      ${getDiscoveryProgress().map(group => `
+        <li class="discovery-group">
+          <span class="discovery-group-name">${group.name}</span>
+          <span class="discovery-group-count">${t("discovery.progress", { visited: group.visited, total: group.total })}</span>
+          <span class="discovery-bar"><span style="width: ${group.visited / group.total * 100}%"></span></span>
+        </li>
+      `).join("")}
+    </ul>
+    <strong class="discovery-title">${t("discovery.badges")}</strong>
+    ${badges.length
+      ? `<ul class="discovery-badges">${badges.map(badge => `<li class="discovery-badge">${badge.name}</li>`).join("")}</ul>`
+      : `<p class="discovery-empty">${t("discovery.noBadges")}</p>`}
+  `;
+}
+
+// ============= PROXIMITY ALERTS =============
+/**
+ * Opt-in alerts when a tracked user walks into range of a location.
+ * Quiet mode keeps the in-app toast but skips vibration and system notifications.
+ */
+class ProximityAlertManager {
+  constructor(geolocationManager) {
+    this.geolocationManager = geolocationManager;
+    this.storageKey = "heerlenMapProximity";
+    this.settings = this.loadSettings();
+    this.insideKeys = new Set();
+    this.lastAlerts = new Map();
+    this.initialize();
+  }
+
+  /**
+   * Listen to location updates while tracking
+   */
+  initialize() {
+    const control = this.geolocationManager.geolocateControl;
+    
+    control.on("geolocate", () => {
+      if (this.geolocationManager.isTracking && this.geolocationManager.userPosition) {
+        this.checkPosition(this.geolocationManager.userPosition);
+      }
+    });
+    
+    control.on("trackuserlocationend", () => this.insideKeys.clear());
+  }
+
+  /**
+   * Read settings from localStorage
+   */
+  loadSettings() {
+    const defaults = {
+      enabled: false,
+      radius: CONFIG.PROXIMITY.radius,
+      vibrate: true,
+      system: false,
+      quiet: false
+    };
+    
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  /**
+   * Update and save settings
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    writeStorage(this.storageKey, JSON.stringify(this.settings));
+    
+    // Ask for permission the moment system notifications are switched on
+    if (changes.system && "Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+  }
+
+  /**
+   * Alert for locations the user just walked into range of
+   */
+  checkPosition(userPosition) {
+    if (!this.settings.enabled) return;
+    
+    const now = Date.now();
+    const cooldown = CONFIG.PROXIMITY.cooldownMinutes * 60000;
+    const nowInside = new Set();
+    
+    mapLocations.features.forEach(feature => {
+      if (!matchesMapFilters(feature.properties)) return;
+      
+      const [lng, lat] = feature.geometry.coordinates;
+      const distance = 1000 * calculateDistance(userPosition[1], userPosition[0], lat, lng);
+      if (distance > this.settings.radius) return;
+      
+      const key = getLocationKey(feature.properties);
+      nowInside.add(key);
+      
+      // Only on entering the radius, and not again within the cooldown
+      const lastAlert = this.lastAlerts.get(key) || 0;
+      if (!this.insideKeys.has(key) && now - lastAlert > cooldown) {
+        this.lastAlerts.set(key, now);
+        this.alert(feature, distance);
+      }
+    });
+    
+    this.insideKeys = nowInside;
+  }
+
+  /**
+   * Show the toast, and vibrate / notify unless in quiet mode
+   */
+  alert(feature, distance) {
+    const name = localized(feature.properties, "name");
+    const message = t("proximity.nearby", { name, distance: formatDistance(distance / 1000) });
+    
+    this.showToast(feature, message);
+    if (this.settings.quiet) return;
+    
+    if (this.settings.vibrate && navigator.vibrate) {
+      navigator.vibrate([200, 100, 200]);
+    }
+    
+    if (this.settings.system && "Notification" in window && Notification.permission === "granted" && document.hidden) {
+      this.showSystemNotification(feature, name, message);
+    }
+  }
+
+  /**
+   * System notification; Android Chrome only allows them through a service worker registration
+   */
+  showSystemNotification(feature, name, message) {
+    const options = {
+      body: message,
+      icon: feature.properties.icon !== FALLBACK_ICON_ID ? feature.properties.icon : undefined,
+      tag: getLocationKey(feature.properties)
+    };
+    
+    try {
+      const notification = new Notification(name, options);
+      
+      notification.onclick = () => {
+        window.focus();
+        openLocation(feature);
+        notification.close();
+      };
+    } catch (error) {
+      const fallback = () => this.geolocationManager.showNotification(message, "info");
+      
+      if (!navigator.serviceWorker) {
+        fallback();
+        return;
+      }
+      
+      navigator.serviceWorker.getRegistration()
+        .then(registration => (registration ? registration.showNotification(name, options) : fallback()))
+        .catch(fallback);
+    }
+  }
+
+  /**
+   * In-app toast with a shortcut to the location
+   */
+  showToast(feature, message) {
+    const toast = document.createElement("div");
+    toast.className = "proximity-toast";
+    toast.style.borderColor = feature.properties.color;
+    toast.innerHTML = `
+      <span class="proximity-toast-text">${message}</span>
+      <button class="proximity-toast-button">${t("proximity.view")}</button>
+    `;
+    
+    toast.querySelector(".proximity-toast-button").addEventListener("click", () => {
+      openLocation(feature);
+      toast.remove();
+    });
+    
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 8000);
+  }
+
+  /**
+   * Setup the settings panel and its toggle button
+   */
+  setupSettingsPanel() {
+    const panel = document.createElement("div");
+    panel.className = "proximity-panel";
+    
+    const toggle = document.createElement("button");
+    toggle.className = "proximity-toggle";
+    toggle.dataset.i18n = "proximity.toggle";
+    toggle.textContent = t("proximity.toggle");
+    toggle.addEventListener("click", () => {
+      panel.classList.toggle("is--show");
+      this.renderSettingsPanel();
+    });
+    
+    panel.addEventListener("change", event => {
+      const { name, type, checked, value } = event.target;
+      this.updateSettings({ [name]: type === "checkbox" ? checked : parseInt(value, 10) });
+    });
+    
+    document.body.appendChild(panel);
+    document.body.appendChild(toggle);
+  }
+
+  /**
+   * Render the settings form
+   */
+  renderSettingsPanel() {
+    const panel = document.querySelector(".proximity-panel");
+    if (!panel || !panel.classList.contains("is--show")) return;
+    
+    const { enabled, radius, vibrate, system, quiet } = this.settings;
+    const checkbox = (name, checked, label) => `
+      <label class="proximity-option">
+        <input type="checkbox" name="${name}" ${checked ? "checked" : ""}>
+        <span>${label}</span>
+      </label>
+    `;
+    
+    panel.innerHTML = `
+      <strong class="proximity-title">${t("proximity.title")}</strong>
+      ${checkbox("enabled", enabled, t("proximity.enabled"))}
+      <label class="proximity-option">
+        <span>${t("proximity.radius")}</span>
+        <select name="radius">
+          ${CONFIG.PROXIMITY.radiusOptions.map(option => `
+            <option value="${option}" ${option === radius ? "selected" : ""}>${option} m</option>
+          `).join("")}
+        </select>
+      </label>
+      ${checkbox("vibrate", vibrate, t("proximity.vibrate"))}
+      ${"Notification" in window ? checkbox("system", system, t("proximity.system")) : ""}
+      ${checkbox("quiet", quiet, t("proximity.quiet"))}
+    `;
+  }
+}
+
+// Initialize proximity alerts
+const proximityAlerts = new ProximityAlertManager(geolocationManager);
+
+// ============= URL STATE =============
+// Deep links look like #location=<id or slug>&categories=a,b&camera=lng,lat,zoom,bearing,pitch
+const initialUrlState = parseUrlState();
+
+/**
+ * Parse selected location, category filters and camera from the url hash
+ */
+function parseUrlState() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const state = {};
+  
+  if (params.get("location")) {
+    state.location = params.get("location");
+  }
+  
+  if (params.get("categories")) {
+    state.categories = params.get("categories").split(",").filter(Boolean);
+  }
+  
+  if (params.get("itinerary")) {
+    state.itinerary = params.get("itinerary").split(",").filter(Boolean);
+  }
+  
+  const camera = (params.get("camera") || "").split(",").map(parseFloat);
+  if (camera.length >= 3 && camera.slice(0, 3).every(Number.isFinite)) {
+    state.camera = {
+      center: [camera[0], camera[1]],
+      zoom: camera[2],
+      bearing: camera[3] || 0,
+      pitch: camera[4] || 0
+    };
+  }
+  
+  return state;
+}
+
+/**
+ * Key used for a feature in urls: location id, or slug for AR murals
+ */
+function getLocationKey(properties) {
+  return properties.type === "ar" ? properties.slug : properties.id;
+}
+
+/**
+ * Find a feature by location id or slug
+ */
+function findLocation(key) {
+  return mapLocations.features.find(feature =>
+    feature.properties.id === key || feature.properties.slug === key
+  );
+}
+
+/**
+ * Apply a parsed url state to filters, camera and popup
+ */
+function applyUrlState(state) {
+  if (state.categories) {
+    activeFilters.clear();
+    state.categories.forEach(category => activeFilters.add(category));
+    applyMapFilters();
+  }
+  
+  if (state.itinerary) {
+    showItinerary(state.itinerary);
+  }
+  
+  if (state.camera) {
+    map.jumpTo(state.camera);
+  }
+  
+  if (state.location) {
+    const feature = findLocation(state.location);
+    if (feature) {
+      openLocation(feature);
+    } else {
+      console.warn(`Location from url not found: ${state.location}`);
+    }
+  }
+}
+
+/**
+ * Write the current location, filters and camera to the url hash
+ */
+function updateUrlState() {
+  if (!markersAdded) return;
+  
+  const center = map.getCenter();
+  const params = [];
+  
+  if (activePopupLocation) {
+    params.push(`location=${encodeURIComponent(getLocationKey(activePopupLocation.properties))}`);
+  }
+  
+  if (activeFilters.size) {
+    params.push(`categories=${Array.from(activeFilters).map(encodeURIComponent).join(",")}`);
+  }
+  
+  if (itineraryKeys) {
+    params.push(`itinerary=${itineraryKeys.map(encodeURIComponent).join(",")}`);
+  }
+  
+  params.push(`camera=${[
+    center.lng.toFixed(6),
+    center.lat.toFixed(6),
+    map.getZoom().toFixed(2),
+    map.getBearing().toFixed(1),
+    map.getPitch().toFixed(1)
+  ].join(",")}`);
+  
+  history.replaceState(null, "", `${window.location.pathname}${window.location.search}#${params.join("&")}`);
+}
+
+map.on("moveend", updateUrlState);
+
+// Links pasted into the same tab
+window.addEventListener("hashchange", () => {
+  applyUrlState(parseUrlState());
+});
+
+// ============= PUBLIC API =============
+/*
+ * window.HeerlenMap lets host pages drive an embedded map:
+ *
+ *   HeerlenMap.on("locationopen", ({ id, properties }) => console.log(properties.name));
+ *   HeerlenMap.setFilters(["Horeca"], ["open-now"]);
+ *   HeerlenMap.openLocation("locatie-id");
+ *
+ * Events, also dispatched on window as "heerlenmap:<event>" CustomEvents so pages
+ * can listen before this script has loaded:
+ *   ready              map, markers and url state are set up
+ *   locationopen       { id, properties, coordinates } a popup opened
+ *   locationclose      { id, properties, coordinates } that popup closed
+ *   filterchange       { categories, facets, visible } filters were applied
+ *   arstart            { id, properties, url } an AR experience was started
+ *   userenterboundary  { position } a tracked user entered the visitor boundary (or was first located inside it)
+ *   userleaveboundary  { position } a tracked user who was inside left the visitor boundary
+ */
+const mapEventListeners = {};
+
+// Resolves when the load handler has set up sources, markers and the url state, right before "ready"
+let resolveMapReady;
+const mapReady = new Promise(resolve => {
+  resolveMapReady = resolve;
+});
+
+/**
+ * Call the listeners of an API event and dispatch it on window
+ */
+function emitMapEvent(type, detail = {}) {
+  (mapEventListeners[type] || []).forEach(listener => {
+    try {
+      listener(detail);
+    } catch (error) {
+      console.error(`Error in ${type} listener:`, error);
+    }
+  });
+  
+  window.dispatchEvent(new CustomEvent(`heerlenmap:${type}`, { detail }));
+}
+
+/**
+ * Payload for location events
+ */
+function getLocationEventDetail(properties, coordinates) {
+  return { id: getLocationKey(properties), properties, coordinates };
+}
+
+window.HeerlenMap = {
+  /** The mapboxgl.Map instance */
+  map,
+  
+  /**
+   * Subscribe to an event, returns a function that unsubscribes
+   */
+  on(type, listener) {
+    (mapEventListeners[type] = mapEventListeners[type] || []).push(listener);
+    return () => this.off(type, listener);
+  },
+  
+  /**
+   * Unsubscribe from an event
+   */
+  off(type, listener) {
+    mapEventListeners[type] = (mapEventListeners[type] || []).filter(fn => fn !== listener);
+  },
+  
+  /**
+   * Open the popup of a location by id or AR slug, resolves to false when unknown
+   */
+  async openLocation(id) {
+    await mapReady;
+    const feature = findLocation(id);
+    if (!feature) return false;
+    
+    await openLocation(feature);
+    return true;
+  },
+  
+  /**
+   * Close the open popup
+   */
+  closePopup() {
+    if (activePopup) {
+      activePopup.remove();
+      activePopup = null;
+    }
+  },
+  
+  /**
+   * Fly to a location without opening it, resolves to false when unknown
+   */
+  async flyToLocation(id, options = {}) {
+    await mapReady;
+    const feature = findLocation(id);
+    if (!feature) return false;
+    
+    map.flyTo({ center: feature.geometry.coordinates, zoom: 17, essential: true, ...options });
+    return true;
+  },
+  
+  /**
+   * Show only these categories; facets ("ar", "open-now", "favourites", "accessible") are replaced when given
+   */
+  setFilters(categories = [], facets) {
+    activeFilters.clear();
+    categories.forEach(category => activeFilters.add(category));
+    
+    if (facets) {
+      activeFacets.clear();
+      facets
+        .filter(facetId => FILTER_FACETS.some(facet => facet.id === facetId))
+        .forEach(facetId => activeFacets.add(facetId));
+    }
+    
+    if (markersAdded) {
+      applyMapFilters();
+      updateUrlState();
+    }
+  },
+  
+  /**
+   * Current categories and facets
+   */
+  getFilters() {
+    return { categories: Array.from(activeFilters), facets: Array.from(activeFacets) };
+  },
+  
+  /**
+   * Ask for the user's location and follow it, as the geolocate button does
+   */
+  startTracking() {
+    if (!geolocationManager.isTracking) {
+      geolocationManager.geolocateControl.trigger();
+    }
+  },
+  
+  /**
+   * Switch the interface language ("nl", "en" or "de")
+   */
+  setLanguage(language) {
+    setLanguage(language);
+  }
+};
+
+//! ============= MAP INTERACTION HANDLERS =============
+
+// Map load event
+map.on("load", async () => {
+  await locationsReady;
+  loadIcons();
+  addCustomMarkers();
+  addSearchHighlightLayer();
+  addListHighlightLayer();
+  setupLocationFilters();
+  setupSearch();
+  setupLocationList();
+  addVisitedLayer();
+  setupDiscoveryPanel();
+  proximityAlerts.setupSettingsPanel();
+  startOpeningHoursClock();
+  setupSunControl();
+  
+  // Tours load in the background; a slow or broken feed must not keep the map from starting
+  setupTours().catch(error => {
+    console.error("Error setting up tours:", error);
+  });
+  
+  // Deep links to a location, itinerary or view skip the intro
+  applyUrlState(initialUrlState);
+  resolveMapReady();
+  emitMapEvent("ready");
+  if (initialUrlState.location || initialUrlState.itinerary || initialUrlState.camera) return;
+  
+  // Initial animation on load
+  setTimeout(() => {
+    const finalZoom = window.matchMedia("(max-width: 479px)").matches ? 17 : 18;
+    
+    map.jumpTo({
+      center: CONFIG.MAP.center,
+      zoom: 15,
+      pitch: 0,
+      bearing: 0
+    });
+    
+    map.flyTo({
+      center: CONFIG.MAP.center,
+      zoom: finalZoom,
+      pitch: 55,
+      bearing: -17.6,
+      duration: 6000,
+      essential: true,
+      easing: t => t * (2 - t) // Ease out quad
+    });
+  }, 5000);
+});
+
+// Close sidebar button
+$(".close-block").on("click", () => {
+  closeItem();
+});
 
 // Hide popups and sidebar on map interactions
 ["dragstart", "zoomstart", "rotatestart", "pitchstart"].forEach(eventType => {
@@ -1663,20 +5293,8 @@ map.on('moveend', () => {
   // Skip deze check als we aan het terugvliegen zijn
   if (map.isEasing()) return;
   
-  const currentCenter = map.getCenter();
-  const boundaryCenter = { 
-    lng: CONFIG.MAP.boundary.center[0], 
-    lat: CONFIG.MAP.boundary.center[1] 
-  };
-  
-  // Bereken afstand van huidige centrum tot Heerlen centrum
-  const distance = calculateDistance(
-    currentCenter.lat, currentCenter.lng,
-    boundaryCenter.lat, boundaryCenter.lng
-  );
-  
-  // Als we te ver weg zijn (meer dan 1 km), vlieg terug
-  if (distance > 1) {
+  // Als het centrum buiten het gebied ligt, vlieg terug
+  if (!isInBoundary(map.getCenter().toArray())) {
     // Maak blocker overlay
     const overlay = document.createElement('div');
     overlay.id = 'interaction-blocker';
@@ -1723,10 +5341,16 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 //! ============= THREEJS LAYER =============
-// 3D model configurations
+// Inline placements, merged with the CMS or JSON feed.
+// Each item: { id, type: "model" | "image" | "video", url, origin: [lat, lng], altitude, rotate: [x, y, z],
+// scale (models), width / height in meters (images), minZoom, maxZoom, locationId,
+// lods: [{ minZoom, url }] more detailed files replacing url from that zoom on,
+// animation: "loop" | "hover" | "popup" for embedded GLTF clips,
+// footprint: [[lng, lat], ...] ring hiding basemap buildings, the bounding box when omitted }
 const modelConfigs = [
   {
     id: 'schunck',
+    type: 'model',
     origin: [50.88778235149691, 5.979389928151281], // [lat, lng]
     altitude: 0,
     rotate: [Math.PI / 2, 0.45, 0],
@@ -1735,29 +5359,185 @@ const modelConfigs = [
   },
   {
     id: 'theater',
+    type: 'model',
     origin: [50.886541206107225, 5.972454838314243],
     altitude: 0,
     rotate: [Math.PI / 2, 2.05, 0],
     url: 'https://cdn.jsdelivr.net/gh/Artwalters/3dmodels_heerlen@main/theaterheerlenv4.glb',
     scale: 0.6
+  },
+  {
+    id: 'image1',
+    type: 'image',
+    origin: [50.88801513786042, 5.980644311376565],
+    altitude: 6.5,
+    rotate: [Math.PI / 2, 0.35, 0],
+    url: 'https://daks2k3a4ib2z.cloudfront.net/671769e099775386585f574d/67adf2bff5be8a200ec2fa55_osgameos_mural-p-130x130q80.png',
+    width: 13,
+    height: 13
   }
 ];
 
-// Image plane configuration
-const imagePlaneConfig = {
-  id: 'image1',
-  origin: [50.88801513786042, 5.980644311376565],
-  altitude: 6.5,
-  rotate: [Math.PI / 2, 0.35, 0],
-  imageUrl: 'https://daks2k3a4ib2z.cloudfront.net/671769e099775386585f574d/67adf2bff5be8a200ec2fa55_osgameos_mural-p-130x130q80.png',
-  width: 13,
-  height: 13
-};
+// CMS fields of a placement; rotation is the heading in degrees, rotation_x (default 90,
+// upright GLTF) and rotation_z tilt it
+const MODEL_FIELDS = [
+  "model_id", "model_type", "model_url", "model_latitude", "model_longitude", "model_altitude",
+  "model_rotation", "model_rotation_x", "model_rotation_z", "model_scale", "model_width", "model_height",
+  "model_min_zoom", "model_max_zoom", "model_location", "model_lods", "model_animation", "model_footprint"
+];
 
 /**
- * Create image plane for THREE.js
+ * Build a placement from a flat CMS record
  */
-function createImagePlane(config) {
+function createModelConfig(modelData, index) {
+  const optionalNumber = value => (value === "" || value == null ? null : parseFloat(value));
+  const degrees = (value, fallback) => {
+    const number = optionalNumber(value);
+    return (Number.isFinite(number) ? number : fallback) * Math.PI / 180;
+  };
+  
+  return {
+    id: modelData.model_id || `model-${index}`,
+    type: ["image", "video"].includes(modelData.model_type) ? modelData.model_type : "model",
+    url: modelData.model_url,
+    origin: [parseFloat(modelData.model_latitude), parseFloat(modelData.model_longitude)],
+    altitude: optionalNumber(modelData.model_altitude) || 0,
+    rotate: [
+      degrees(modelData.model_rotation_x, 90),
+      degrees(modelData.model_rotation, 0),
+      degrees(modelData.model_rotation_z, 0)
+    ],
+    scale: optionalNumber(modelData.model_scale) || 1,
+    width: optionalNumber(modelData.model_width) || 10,
+    height: optionalNumber(modelData.model_height) || 10,
+    minZoom: optionalNumber(modelData.model_min_zoom),
+    maxZoom: optionalNumber(modelData.model_max_zoom),
+    locationId: modelData.model_location || null,
+    lods: parseLods(modelData.model_lods),
+    animation: modelData.model_animation || null,
+    footprint: parseFootprint(modelData.model_footprint)
+  };
+}
+
+/**
+ * Parse LOD files from CMS text, one "<min zoom> <url>" pair per line or comma
+ */
+function parseLods(text) {
+  return (text || "")
+    .split(/[\n,]+/)
+    .map(entry => entry.trim().split(/\s+/))
+    .filter(([zoom, url]) => Number.isFinite(parseFloat(zoom)) && isValidUrl(url))
+    .map(([zoom, url]) => ({ minZoom: parseFloat(zoom), url }));
+}
+
+/**
+ * Load placements from CMS
+ */
+function getModelData() {
+  const list = document.getElementById("model-list");
+  if (!list) return [];
+
+  return Array.from(list.children).map((element, index) => {
+    return createModelConfig(readCMSFields(element, MODEL_FIELDS), index);
+  });
+}
+
+/**
+ * Load placements from the CMS list or CONFIG.MODELS.url and merge them with the inline configs.
+ * The JSON file is an array of records with the CMS field names.
+ */
+async function loadModelConfigs() {
+  let feed = [];
+  
+  try {
+    feed = CONFIG.MODELS.source === "json"
+      ? (await fetchJSON(CONFIG.MODELS.url)).map(createModelConfig)
+      : getModelData();
+  } catch (error) {
+    console.error("Error loading 3D placements:", error);
+  }
+  
+  await locationsReady;
+  
+  return [...modelConfigs, ...feed].filter(config => {
+    const [lat, lng] = config.origin;
+    if (!isValidUrl(config.url) || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      console.warn(`3D placement "${config.id}" skipped: missing url or coordinates`);
+      return false;
+    }
+    
+    if (config.locationId && !findLocation(config.locationId)) {
+      console.warn(`3D placement "${config.id}" links to unknown location "${config.locationId}"`);
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Check if a placement is visible at a zoom level
+ */
+function isInZoomRange(config, zoom) {
+  return (config.minZoom == null || zoom >= config.minZoom) &&
+    (config.maxZoom == null || zoom <= config.maxZoom);
+}
+
+/**
+ * GLTF loader with Draco and Meshopt decoding when their scripts are on the page
+ */
+function createGLTFLoader() {
+  const loader = new THREE.GLTFLoader();
+
+  if (THREE.DRACOLoader && CONFIG.MODELS.dracoDecoderPath) {
+    const dracoLoader = new THREE.DRACOLoader();
+    dracoLoader.setDecoderPath(CONFIG.MODELS.dracoDecoderPath);
+    loader.setDRACOLoader(dracoLoader);
+  }
+
+  if (window.MeshoptDecoder) {
+    loader.setMeshoptDecoder(window.MeshoptDecoder);
+  }
+
+  return loader;
+}
+
+/**
+ * File for a zoom level: the most detailed LOD whose minZoom is reached, else the base url
+ */
+function getLodUrl(config, zoom) {
+  const lod = (config.lods || [])
+    .filter(level => zoom >= level.minZoom)
+    .sort((a, b) => b.minZoom - a.minZoom)[0];
+
+  return lod ? lod.url : config.url;
+}
+
+/**
+ * Free geometries, materials and textures of an object
+ */
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.userData.video) {
+      child.userData.video.pause();
+      child.userData.video.removeAttribute('src');
+      child.userData.video.load();
+    }
+    if (!child.isMesh) return;
+
+    child.geometry.dispose();
+    (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+      Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose();
+      });
+      material.dispose();
+    });
+  });
+}
+
+/**
+ * Create a textured plane with its transform, sized in meters
+ */
+function createPlaneMesh(config, texture) {
   // Convert coordinates
   const mercatorCoord = mapboxgl.MercatorCoordinate.fromLngLat(
     [config.origin[1], config.origin[0]],
@@ -1769,39 +5549,343 @@ function createImagePlane(config) {
   const geoWidth = config.width * meterScale;
   const geoHeight = config.height * meterScale;
 
+  // Create material
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    transparent: true,
+    side: THREE.DoubleSide
+  });
+  
+  // Create geometry
+  const geometry = new THREE.PlaneGeometry(geoWidth, geoHeight);
+  const plane = new THREE.Mesh(geometry, material);
+
+  // Store transform data
+  plane.userData.transform = {
+    translateX: mercatorCoord.x,
+    translateY: mercatorCoord.y,
+    translateZ: mercatorCoord.z,
+    rotate: config.rotate,
+    scale: config.scale || 1
+  };
+
+  return plane;
+}
+
+/**
+ * Create image plane for THREE.js
+ */
+function createImagePlane(config) {
   return new Promise((resolve, reject) => {
     const textureLoader = new THREE.TextureLoader();
     textureLoader.load(
-      config.imageUrl,
-      (texture) => {
-        // Create material
-        const material = new THREE.MeshBasicMaterial({
-          map: texture,
-          transparent: true,
-          side: THREE.DoubleSide
-        });
-        
-        // Create geometry
-        const geometry = new THREE.PlaneGeometry(geoWidth, geoHeight);
-        const plane = new THREE.Mesh(geometry, material);
-
-        // Store transform data
-        plane.userData.transform = {
-          translateX: mercatorCoord.x,
-          translateY: mercatorCoord.y,
-          translateZ: mercatorCoord.z,
-          rotate: config.rotate,
-          scale: 1
-        };
-
-        resolve(plane);
-      },
+      config.url,
+      (texture) => resolve(createPlaneMesh(config, texture)),
       undefined,
       (error) => reject(error)
     );
   });
 }
 
+/**
+ * Create a plane playing a muted looping video, paused by the layer while off-screen
+ */
+function createVideoPlane(config) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    video.addEventListener('loadeddata', () => {
+      const plane = createPlaneMesh(config, new THREE.VideoTexture(video));
+      plane.userData.video = video;
+      resolve(plane);
+    }, { once: true });
+    video.addEventListener('error', () => reject(new Error(`Video failed to load: ${config.url}`)), { once: true });
+
+    video.src = config.url;
+  });
+}
+
+// Previewed day ("YYYY-MM-DD") and time of day in minutes, null follows the clock
+let sunPreviewDate = null;
+let sunPreviewMinutes = null;
+
+/**
+ * Date used for the sun position: now, with the previewed day and time when chosen
+ */
+function getSunDate() {
+  const date = new Date();
+  if (sunPreviewDate !== null) {
+    const [year, month, day] = sunPreviewDate.split("-").map(Number);
+    date.setFullYear(year, month - 1, day);
+  }
+  if (sunPreviewMinutes !== null) {
+    date.setHours(Math.floor(sunPreviewMinutes / 60), sunPreviewMinutes % 60, 0, 0);
+  }
+  return date;
+}
+
+/**
+ * Local "YYYY-MM-DD" value for a date input
+ */
+function formatDateInputValue(date) {
+  const pad = value => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Sun altitude above the horizon and compass azimuth (from north, clockwise) in radians.
+ * Low precision solar position after the formulas used by SunCalc, good to about a degree.
+ */
+function getSunPosition(date, lat, lng) {
+  const rad = Math.PI / 180;
+  const days = date.valueOf() / 86400000 - 0.5 + 2440588 - 2451545; // days since J2000
+
+  // Ecliptic longitude from the mean anomaly and the equation of center
+  const meanAnomaly = rad * (357.5291 + 0.98560028 * days);
+  const center = rad * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+  const eclipticLongitude = meanAnomaly + center + rad * 102.9372 + Math.PI;
+
+  // Equatorial coordinates
+  const obliquity = rad * 23.4397;
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const rightAscension = Math.atan2(Math.sin(eclipticLongitude) * Math.cos(obliquity), Math.cos(eclipticLongitude));
+
+  // Horizontal coordinates
+  const phi = rad * lat;
+  const hourAngle = rad * (280.16 + 360.9856235 * days) + rad * lng - rightAscension;
+  const altitude = Math.asin(Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle));
+  const azimuth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi));
+
+  // SunCalc measures azimuth from the south
+  return { altitude, azimuth: azimuth + Math.PI };
+}
+
+/**
+ * Setup the date picker and time of day slider for the sun light
+ */
+function setupSunControl() {
+  const control = document.createElement("div");
+  control.className = "sun-control";
+  control.innerHTML = `
+    <label class="sun-control-label">
+      <span data-i18n="sun.label">${t("sun.label")}</span>
+      <output class="sun-control-time"></output>
+    </label>
+    <div class="sun-control-inputs">
+      <input class="sun-control-date" type="date" aria-label="${t("sun.date")}">
+      <input class="sun-control-slider" type="range" min="0" max="1425" step="15">
+    </div>
+    <button class="sun-control-now" data-i18n="sun.now">${t("sun.now")}</button>
+  `;
+  document.body.appendChild(control);
+
+  const dateInput = control.querySelector(".sun-control-date");
+  const slider = control.querySelector(".sun-control-slider");
+  const output = control.querySelector(".sun-control-time");
+  let clockInterval = null;
+
+  const render = () => {
+    const date = getSunDate();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    dateInput.value = formatDateInputValue(date);
+    slider.value = minutes;
+    output.textContent = formatMinutes(minutes);
+    control.classList.toggle("is--preview", sunPreviewDate !== null || sunPreviewMinutes !== null);
+    customLayer.updateSunLight();
+  };
+
+  // Follow the clock until the user picks a day or time
+  const followClock = follow => {
+    clearInterval(clockInterval);
+    clockInterval = follow ? setInterval(render, 60000) : null;
+  };
+
+  dateInput.addEventListener("change", () => {
+    if (!dateInput.value) return;
+    sunPreviewDate = dateInput.value;
+    followClock(false);
+    render();
+  });
+
+  slider.addEventListener("input", () => {
+    sunPreviewMinutes = parseInt(slider.value, 10);
+    followClock(false);
+    render();
+  });
+
+  control.querySelector(".sun-control-now").addEventListener("click", () => {
+    sunPreviewDate = null;
+    sunPreviewMinutes = null;
+    followClock(true);
+    render();
+  });
+
+  followClock(true);
+  render();
+}
+
+// Outer rings ([lng, lat]) of loaded models, basemap buildings inside them are hidden
+const modelFootprints = new Map();
+
+// Original filters of the style's building layers, by layer id
+const buildingLayerFilters = new Map();
+let hiddenBuildingKey = "";
+let buildingFilterTimeout = null;
+let missingBuildingLayersWarned = false;
+
+/**
+ * Parse a footprint from CMS text or JSON: a GeoJSON Polygon or a [[lng, lat], ...] ring
+ */
+function parseFootprint(text) {
+  if (!text) return null;
+  
+  try {
+    const value = typeof text === "string" ? JSON.parse(text) : text;
+    const ring = value.type === "Polygon" ? value.coordinates[0] : Array.isArray(value[0][0]) ? value[0] : value;
+    return ring.length >= 3 ? ring : null;
+  } catch (error) {
+    console.warn("Invalid model footprint:", text);
+    return null;
+  }
+}
+
+/**
+ * Fill extrusion layers of the style that draw basemap buildings
+ */
+function getBuildingLayers() {
+  return map.getStyle().layers.filter(layer =>
+    layer.type === "fill-extrusion" && layer["source-layer"] === "building"
+  );
+}
+
+/**
+ * Whether a layer filter uses expression syntax rather than the legacy one, after the check
+ * Mapbox GL itself does; the two can't be mixed inside one filter
+ */
+function isExpressionFilter(filter) {
+  if (filter === true || filter === false) return true;
+  if (!Array.isArray(filter) || !filter.length) return false;
+  
+  switch (filter[0]) {
+    case "has":
+      return filter.length >= 2 && filter[1] !== "$id" && filter[1] !== "$type";
+    case "in":
+      return filter.length >= 3 && (typeof filter[1] !== "string" || Array.isArray(filter[2]));
+    case "!in":
+    case "!has":
+    case "none":
+      return false;
+    case "==":
+    case "!=":
+    case ">":
+    case ">=":
+    case "<":
+    case "<=":
+      return filter.length !== 3 || Array.isArray(filter[1]) || Array.isArray(filter[2]);
+    case "any":
+    case "all":
+      return filter.slice(1).every(part => typeof part === "boolean" || isExpressionFilter(part));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Hide buildings under a model, or show them again with a null footprint
+ */
+function setModelFootprint(id, ring) {
+  if (ring) {
+    modelFootprints.set(id, ring);
+  } else {
+    modelFootprints.delete(id);
+  }
+  scheduleBuildingFilter();
+}
+
+/**
+ * Update the building filter once tiles settle
+ */
+function scheduleBuildingFilter() {
+  clearTimeout(buildingFilterTimeout);
+  buildingFilterTimeout = setTimeout(updateBuildingFilter, 200);
+}
+
+/**
+ * Filter building features whose center lies inside a model footprint out of the building layers
+ */
+function updateBuildingFilter() {
+  const layers = getBuildingLayers();
+  const footprints = Array.from(modelFootprints.values());
+  
+  if (!layers.length) {
+    if (footprints.length && !missingBuildingLayersWarned) {
+      missingBuildingLayersWarned = true;
+      console.warn('Model footprints set, but the map style has no fill-extrusion layers on source-layer "building" to hide');
+    }
+    return;
+  }
+  
+  const hiddenIds = new Set();
+  
+  if (footprints.length) {
+    layers.forEach(layer => {
+      map.querySourceFeatures(layer.source, { sourceLayer: "building" }).forEach(feature => {
+        if (feature.id == null) return;
+        
+        // Center of the outer ring's bounding box
+        const ring = feature.geometry.type === "MultiPolygon"
+          ? feature.geometry.coordinates[0][0]
+          : feature.geometry.coordinates[0];
+        const lngs = ring.map(point => point[0]);
+        const lats = ring.map(point => point[1]);
+        const center = [
+          (Math.min(...lngs) + Math.max(...lngs)) / 2,
+          (Math.min(...lats) + Math.max(...lats)) / 2
+        ];
+        
+        if (footprints.some(footprint => isPointInPolygon(center, [footprint]))) {
+          hiddenIds.add(feature.id);
+        }
+      });
+    });
+  }
+  
+  // Filters only change when the set of hidden buildings does
+  const key = Array.from(hiddenIds).sort().join(",");
+  if (key === hiddenBuildingKey) return;
+  hiddenBuildingKey = key;
+  
+  layers.forEach(layer => {
+    if (!buildingLayerFilters.has(layer.id)) {
+      buildingLayerFilters.set(layer.id, map.getFilter(layer.id) || null);
+    }
+    
+    // Match the syntax of the style's own filter
+    const original = buildingLayerFilters.get(layer.id);
+    const exclusion = original && !isExpressionFilter(original)
+      ? ["!in", "$id", ...hiddenIds]
+      : ["!", ["in", ["id"], ["literal", Array.from(hiddenIds)]]];
+    
+    if (!hiddenIds.size) {
+      map.setFilter(layer.id, original);
+    } else {
+      map.setFilter(layer.id, original ? ["all", original, exclusion] : exclusion);
+    }
+  });
+}
+
+// New building tiles may contain buildings under a model
+map.on("sourcedata", event => {
+  if (modelFootprints.size && event.sourceDataType !== "metadata" && event.isSourceLoaded) {
+    scheduleBuildingFilter();
+  }
+});
+
 // Custom THREE.js layer
 const customLayer = {
   id: '3d-models',
@@ -1813,22 +5897,43 @@ const customLayer = {
     this.scene = new THREE.Scene();
     this.camera = new THREE.Camera();
 
-    // Setup lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.57);
-    this.scene.add(ambientLight);
+    // The scene is positioned relative to the map center, so float32 vertex math on the GPU
+    // works with small numbers instead of mercator coordinates around 0.5
+    this.origin = mapboxgl.MercatorCoordinate.fromLngLat(CONFIG.MAP.center, 0);
+    this.originMatrix = new THREE.Matrix4().makeTranslation(this.origin.x, this.origin.y, this.origin.z);
+    this.meterUnits = this.origin.meterInMercatorCoordinateUnits();
 
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.57);
-    directionalLight.color.setHex(0xfcfcfc);
-    
-    // Position light
-    const azimuth = 210 * (Math.PI / 180);
-    const polar = 50 * (Math.PI / 180);
-    directionalLight.position.set(
-      Math.sin(azimuth) * Math.sin(polar),
-      Math.cos(azimuth) * Math.sin(polar),
-      Math.cos(polar)
-    ).normalize();
-    this.scene.add(directionalLight);
+    // Setup lighting, positioned by updateSunLight()
+    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.57);
+    this.scene.add(this.ambientLight);
+
+    this.sunLight = new THREE.DirectionalLight(0xfcfcfc, 0.57);
+    this.sunLight.castShadow = true;
+    this.sunLight.shadow.mapSize.set(2048, 2048);
+    this.sunLight.shadow.bias = -0.0005;
+
+    const shadowCamera = this.sunLight.shadow.camera;
+    const shadowExtent = 400 * this.meterUnits;
+    shadowCamera.left = -shadowExtent;
+    shadowCamera.right = shadowExtent;
+    shadowCamera.top = shadowExtent;
+    shadowCamera.bottom = -shadowExtent;
+    shadowCamera.near = 0;
+    shadowCamera.far = 2000 * this.meterUnits;
+    shadowCamera.updateProjectionMatrix();
+
+    this.scene.add(this.sunLight);
+    this.scene.add(this.sunLight.target);
+
+    // Transparent ground that only shows shadows, fitted under the placements by updateShadowGround()
+    this.shadowGround = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.ShadowMaterial({ opacity: 0.25 })
+    );
+    this.shadowGround.receiveShadow = true;
+    this.shadowGround.matrixAutoUpdate = false;
+    this.shadowGround.visible = false;
+    this.scene.add(this.shadowGround);
 
     // Setup renderer
     this.renderer = new THREE.WebGLRenderer({
@@ -1837,19 +5942,124 @@ const customLayer = {
       antialias: true
     });
     this.renderer.autoClear = false;
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-    // Load 3D models
-    const loader = new THREE.GLTFLoader();
-    modelConfigs.forEach(config => {
-      // Convert coordinates
-      const mercCoord = mapboxgl.MercatorCoordinate.fromLngLat(
-        [config.origin[1], config.origin[0]],
-        config.altitude
-      );
+    // Root objects of all placements, and scratch instances reused every frame
+    this.placements = [];
+    this.scratchMatrix = new THREE.Matrix4();
+    this.frustum = new THREE.Frustum();
+
+    // Matrices are static and updated per placement, not by a scene traversal every frame
+    this.scene.matrixWorldAutoUpdate = false;
+    this.scene.autoUpdate = false; // three.js before r144
+    this.scene.updateMatrixWorld(true);
+    this.updateSunLight();
+    map.on('moveend', () => this.updateSunLight());
+
+    // Animation time
+    this.clock = new THREE.Clock();
+
+    // Picking
+    this.raycaster = new THREE.Raycaster();
+    this.hoveredObject = null;
+    this.setupInteraction();
+
+    // Placements are loaded lazily as the camera comes near
+    this.loader = createGLTFLoader();
+    this.placementStates = [];
+    loadModelConfigs().then(configs => {
+      this.placementStates = configs.map(config => ({
+        config,
+        object: null,
+        url: null,
+        requestedUrl: null,
+        failedUrls: new Set()
+      }));
+      modelsAdded = true;
+      this.updatePlacementLoading();
+      renderPlacementEditor();
+    });
+    map.on('moveend', () => this.updatePlacementLoading());
+  },
+
+  /**
+   * Load placements near the camera, swap LOD files by zoom and unload the far away ones
+   */
+  updatePlacementLoading: function() {
+    const center = this.map.getCenter();
+    const zoom = this.map.getZoom();
+    const { loadDistance, unloadDistance, loadZoom } = CONFIG.MODELS;
+
+    this.placementStates.forEach(state => {
+      const { config } = state;
+      const distance = calculateDistance(center.lat, center.lng, config.origin[0], config.origin[1]);
+
+      // Unload with some margin, so small camera moves don't reload
+      if (distance > unloadDistance || zoom < loadZoom - 1) {
+        state.requestedUrl = null;
+        if (state.object) this.removePlacement(state);
+        return;
+      }
+
+      const url = getLodUrl(config, zoom);
+      const inRange = distance <= loadDistance && zoom >= loadZoom;
+
+      if ((state.object || inRange) && url !== state.url && url !== state.requestedUrl && !state.failedUrls.has(url)) {
+        this.loadPlacement(state, url);
+      }
+    });
+  },
+
+  /**
+   * Load a model or image plane file, replacing the currently shown level of detail
+   */
+  loadPlacement: function(state, url) {
+    const { config } = state;
+    state.requestedUrl = url;
 
-      // Load model
-      loader.load(
-        config.url,
+    const loaders = {
+      image: () => createImagePlane({ ...config, url }),
+      video: () => createVideoPlane({ ...config, url }),
+      model: () => this.loadModel(config, url)
+    };
+    const load = loaders[config.type]();
+
+    load
+      .then(object => {
+        // Unloaded or another level requested in the meantime
+        if (state.requestedUrl !== url) {
+          disposeObject(object);
+          return;
+        }
+
+        if (state.object) this.removePlacement(state);
+        state.object = object;
+        state.url = url;
+        state.requestedUrl = null;
+        this.addToScene(object, config);
+        refreshPlacementHelper(state);
+      })
+      .catch(err => {
+        console.error(`Error loading ${config.type} ${config.id}:`, err);
+        state.failedUrls.add(url);
+        if (state.requestedUrl === url) state.requestedUrl = null;
+      });
+  },
+
+  /**
+   * Load a GLTF model with its transform
+   */
+  loadModel: function(config, url) {
+    // Convert coordinates
+    const mercCoord = mapboxgl.MercatorCoordinate.fromLngLat(
+      [config.origin[1], config.origin[0]],
+      config.altitude
+    );
+
+    return new Promise((resolve, reject) => {
+      this.loader.load(
+        url,
         (gltf) => {
           const scene3D = gltf.scene;
           
@@ -1861,57 +6071,378 @@ const customLayer = {
             rotate: config.rotate,
             scale: mercCoord.meterInMercatorCoordinateUnits() * config.scale
           };
+          scene3D.userData.clips = gltf.animations;
           
-          this.scene.add(scene3D);
+          resolve(scene3D);
         },
         undefined,
-        (err) => console.error(err)
+        reject
       );
     });
+  },
 
-    // Load image plane
-    createImagePlane(imagePlaneConfig)
-      .then(plane => {
-        this.scene.add(plane);
-      })
-      .catch(err => console.error('Error loading image plane:', err));
+  /**
+   * Remove a placement from the scene and free its GPU memory
+   */
+  removePlacement: function(state) {
+    const object = state.object;
+    
+    if (this.hoveredObject === object) {
+      this.hoveredObject = null;
+      this.map.getCanvas().style.cursor = '';
+    }
+    
+    this.scene.remove(object);
+    this.placements = this.placements.filter(placement => placement !== object);
+    disposeObject(object);
+    setModelFootprint(state.config.id, null);
+    
+    state.object = null;
+    state.url = null;
+    this.updateShadowGround();
+    updateAnimationButton();
+    refreshPlacementHelper(state);
+  },
+
+  /**
+   * Point the directional light from the sun at the chosen time, with the shadow box around the map center
+   */
+  updateSunLight: function() {
+    if (!this.sunLight) return;
+
+    const [lng, lat] = CONFIG.MAP.center;
+    const { altitude, azimuth } = getSunPosition(getSunDate(), lat, lng);
+
+    // Brightness and warmth follow the sun height, night keeps only ambient light
+    const daylight = Math.max(0, Math.sin(altitude));
+    this.sunLight.intensity = 0.8 * Math.sqrt(daylight);
+    this.sunLight.color.set(0xffc58a).lerp(new THREE.Color(0xfcfcfc), Math.min(1, daylight * 2));
+    this.ambientLight.intensity = 0.35 + 0.3 * Math.sqrt(daylight);
+
+    // Mercator y points south
+    const center = mapboxgl.MercatorCoordinate.fromLngLat(this.map.getCenter(), 0);
+    const distance = 1000 * this.meterUnits;
+    this.sunLight.target.position.set(center.x - this.origin.x, center.y - this.origin.y, 0);
+    this.sunLight.position.set(
+      Math.sin(azimuth) * Math.cos(altitude),
+      -Math.cos(azimuth) * Math.cos(altitude),
+      Math.sin(altitude)
+    ).multiplyScalar(distance).add(this.sunLight.target.position);
+
+    // The scene doesn't update world matrices itself
+    this.sunLight.updateMatrixWorld();
+    this.sunLight.target.updateMatrixWorld();
+    this.map.triggerRepaint();
+  },
+
+  /**
+   * Add a loaded placement with its precomputed matrix
+   */
+  addToScene: function(object, config) {
+    object.userData.config = config;
+    object.matrixAutoUpdate = false;
+    object.traverse(child => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = config.type !== 'image';
+      }
+    });
+    this.updatePlacementMatrix(object);
+    this.updateFootprint(object);
+    this.setupAnimations(object, config);
+
+    this.placements.push(object);
+    this.scene.add(object);
+    this.updateShadowGround();
+  },
+
+  /**
+   * Fit the shadow ground under the loaded placements, with room for long low-sun shadows
+   */
+  updateShadowGround: function() {
+    const bounds = new THREE.Box3();
+    let margin = 0;
+
+    this.placements.forEach(object => {
+      const sphere = object.userData.boundingSphere;
+      bounds.expandByPoint(sphere.center);
+      margin = Math.max(margin, sphere.radius * 3);
+    });
+
+    this.shadowGround.visible = !bounds.isEmpty();
+    if (this.shadowGround.visible) {
+      bounds.expandByScalar(margin);
+      const center = bounds.getCenter(new THREE.Vector3());
+      const size = bounds.getSize(new THREE.Vector3());
+
+      this.shadowGround.matrix
+        .makeTranslation(center.x, center.y, 0)
+        .multiply(this.scratchMatrix.makeScale(size.x, size.y, 1));
+      this.shadowGround.updateMatrixWorld(true);
+    }
+
+    this.map.triggerRepaint();
+  },
+
+  /**
+   * Hide basemap buildings under a model: its declared footprint, or its bounding box
+   */
+  updateFootprint: function(object) {
+    const config = object.userData.config;
+    if (config.type !== 'model') return;
+
+    let footprint = config.footprint;
+    if (!footprint) {
+      const box = new THREE.Box3().setFromObject(object);
+      const toLngLat = (x, y) => new mapboxgl.MercatorCoordinate(x + this.origin.x, y + this.origin.y, 0).toLngLat().toArray();
+      footprint = [
+        toLngLat(box.min.x, box.min.y),
+        toLngLat(box.max.x, box.min.y),
+        toLngLat(box.max.x, box.max.y),
+        toLngLat(box.min.x, box.max.y),
+        toLngLat(box.min.x, box.min.y)
+      ];
+    }
+
+    setModelFootprint(config.id, footprint);
+  },
+
+  /**
+   * Create a mixer for embedded clips; "loop" starts right away, "hover" and "popup" wait
+   */
+  setupAnimations: function(object, config) {
+    const clips = object.userData.clips || [];
+    if (!clips.length || !config.animation) return;
+
+    const mixer = new THREE.AnimationMixer(object);
+    object.userData.mixer = mixer;
+    object.userData.actions = clips.map(clip => mixer.clipAction(clip));
+
+    if (config.animation === 'loop') {
+      object.userData.actions.forEach(action => action.play());
+    }
+    updateAnimationButton();
+  },
+
+  /**
+   * Whether a location has a model configured to play from its popup
+   */
+  hasPopupAnimation: function(locationId) {
+    return (this.placementStates || []).some(state =>
+      state.config.locationId === locationId && state.config.animation === 'popup'
+    );
+  },
+
+  /**
+   * Whether that model is loaded and has clips to play
+   */
+  isPopupAnimationReady: function(locationId) {
+    return this.placements.some(object =>
+      object.userData.config.locationId === locationId &&
+      object.userData.config.animation === 'popup' &&
+      object.userData.actions
+    );
+  },
+
+  /**
+   * Play the popup animations of a location's models once
+   */
+  playAnimation: function(locationId) {
+    this.placements
+      .filter(object => object.userData.config.locationId === locationId && object.userData.actions)
+      .forEach(object => {
+        object.userData.actions.forEach(action => {
+          action.reset();
+          action.setLoop(THREE.LoopOnce, 1);
+          action.clampWhenFinished = true;
+          action.play();
+        });
+      });
+    this.map.triggerRepaint();
+  },
+
+  /**
+   * Play or pause hover animations
+   */
+  setHoverAnimation: function(object, playing) {
+    if (!object.userData.actions || object.userData.config.animation !== 'hover') return;
+
+    object.userData.actions.forEach(action => {
+      action.paused = !playing;
+      if (playing) action.play();
+    });
+  },
+
+  /**
+   * Recompute the model matrix and world bounding sphere from userData.transform
+   */
+  updatePlacementMatrix: function(object) {
+    const t = object.userData.transform;
+    const m = this.scratchMatrix;
+
+    object.matrix
+      .makeTranslation(t.translateX - this.origin.x, t.translateY - this.origin.y, t.translateZ)
+      .multiply(m.makeScale(t.scale, -t.scale, t.scale))
+      .multiply(m.makeRotationX(t.rotate[0]))
+      .multiply(m.makeRotationY(t.rotate[1]))
+      .multiply(m.makeRotationZ(t.rotate[2]));
+    object.updateMatrixWorld(true);
+
+    // Used to skip frames without any placement in view
+    object.userData.boundingSphere = new THREE.Box3()
+      .setFromObject(object)
+      .getBoundingSphere(object.userData.boundingSphere || new THREE.Sphere());
+  },
+
+  /**
+   * Click and hover handling for placements linked to a location
+   */
+  setupInteraction: function() {
+    this.map.on('mousemove', event => {
+      const object = this.pickObject(event.point);
+      if (object === this.hoveredObject) return;
+
+      if (this.hoveredObject) {
+        this.setHighlight(this.hoveredObject, false);
+        this.setHoverAnimation(this.hoveredObject, false);
+      }
+      if (object) {
+        this.setHighlight(object, true);
+        this.setHoverAnimation(object, true);
+      }
+
+      // Only touch the cursor when entering or leaving a model, markers manage their own
+      this.map.getCanvas().style.cursor = object && object.userData.config.locationId ? 'pointer' : '';
+      this.hoveredObject = object;
+      this.map.triggerRepaint();
+    });
+
+    this.map.on('click', event => {
+      // Markers in front of a model win, the placement editor selects instead
+      if (isPlacementEditMode()) return;
+      if (this.map.queryRenderedFeatures(event.point, { layers: ['location-markers'] }).length) return;
+
+      const object = this.pickObject(event.point);
+      if (!object || !object.userData.config.locationId) return;
+
+      const feature = findLocation(object.userData.config.locationId);
+      if (feature) openLocation(feature);
+    });
+  },
+
+  /**
+   * Raycast from a screen point through the Mapbox camera, returns the hit placement
+   */
+  pickObject: function(point, candidates) {
+    const targets = (candidates || this.placements.filter(child =>
+      child.userData.config.locationId || child.userData.config.animation === 'hover'
+    )).filter(child => child.visible);
+    if (!targets.length) return null;
+
+    // Unproject the near and far plane points of the mouse position
+    const canvas = this.map.getCanvas();
+    const x = (point.x / canvas.clientWidth) * 2 - 1;
+    const y = 1 - (point.y / canvas.clientHeight) * 2;
+    const inverseProjection = this.camera.projectionMatrix.clone().invert();
+    const near = new THREE.Vector3(x, y, -1).applyMatrix4(inverseProjection);
+    const far = new THREE.Vector3(x, y, 1).applyMatrix4(inverseProjection);
+
+    this.raycaster.set(near, far.sub(near).normalize());
+    const hit = this.raycaster.intersectObjects(targets, true)[0];
+    if (!hit) return null;
+
+    // Walk up to the placement root
+    let object = hit.object;
+    while (object.parent && object.parent !== this.scene) {
+      object = object.parent;
+    }
+    return object;
+  },
+
+  /**
+   * Tint a placement: emissive for lit materials, color for image planes
+   */
+  setHighlight: function(object, highlighted) {
+    if (!object.userData.config.locationId) return;
+
+    object.traverse(child => {
+      if (!child.isMesh) return;
+
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+        const key = material.emissive ? 'emissive' : 'color';
+        if (!material.userData.originalColor) {
+          material.userData.originalColor = material[key].clone();
+        }
+
+        if (highlighted) {
+          material[key].copy(material.userData.originalColor).lerp(new THREE.Color(0x4B83F2), 0.35);
+        } else {
+          material[key].copy(material.userData.originalColor);
+        }
+      });
+    });
+  },
+
+  /**
+   * Start a placement's video once per time it comes into view; blocked autoplay
+   * (e.g. iOS Low Power mode) is retried on the next user interaction, not every frame
+   */
+  playVideo: function(object) {
+    const video = object.userData.video;
+    const play = () => video.play().then(() => this.map.triggerRepaint());
+    object.userData.playRequested = true;
+
+    play().catch(() => {
+      document.addEventListener('pointerdown', () => {
+        if (object.visible && video.paused) play().catch(() => {});
+      }, { once: true });
+    });
   },
 
   render: function(gl, matrix) {
-    // Get Mapbox matrix
-    const mapMatrix = new THREE.Matrix4().fromArray(matrix);
+    // The Mapbox matrix is the camera projection, objects only carry their model matrix
+    this.camera.projectionMatrix.fromArray(matrix).multiply(this.originMatrix);
+    this.frustum.setFromProjectionMatrix(this.camera.projectionMatrix);
+    const zoom = this.map.getZoom();
 
-    // Apply transforms to each object
-    this.scene.traverse(child => {
-      if (child.userData.transform) {
-        const t = child.userData.transform;
-        
-        // Create transform matrices
-        const translation = new THREE.Matrix4().makeTranslation(
-          t.translateX, t.translateY, t.translateZ
-        );
-        const scaling = new THREE.Matrix4().makeScale(t.scale, -t.scale, t.scale);
-        const rotX = new THREE.Matrix4().makeRotationX(t.rotate[0]);
-        const rotY = new THREE.Matrix4().makeRotationY(t.rotate[1]);
-        const rotZ = new THREE.Matrix4().makeRotationZ(t.rotate[2]);
-
-        // Combine transforms
-        const modelMatrix = new THREE.Matrix4()
-          .multiply(translation)
-          .multiply(scaling)
-          .multiply(rotX)
-          .multiply(rotY)
-          .multiply(rotZ);
-
-        // Apply transformation
-        child.matrix = new THREE.Matrix4().copy(mapMatrix).multiply(modelMatrix);
-        child.matrixAutoUpdate = false;
+    const delta = this.clock.getDelta();
+
+    // Hide placements outside their zoom range or the view
+    let inView = false;
+    let animating = false;
+    this.placements.forEach(object => {
+      object.visible = isInZoomRange(object.userData.config, zoom) &&
+        this.frustum.intersectsSphere(object.userData.boundingSphere);
+      inView = inView || object.visible;
+
+      // Videos only play while on screen, and only keep frames coming while they actually play
+      const video = object.userData.video;
+      if (video) {
+        if (object.visible && video.paused && !object.userData.playRequested) this.playVideo(object);
+        if (!object.visible) {
+          object.userData.playRequested = false;
+          if (!video.paused) video.pause();
+        }
+        animating = animating || (object.visible && !video.paused);
+      }
+
+      // Animated nodes need their world matrices updated, the scene doesn't do it
+      const mixer = object.userData.mixer;
+      if (mixer && object.visible && object.userData.actions.some(action => action.isRunning())) {
+        mixer.update(delta);
+        object.updateMatrixWorld(true);
+        animating = true;
       }
     });
 
+    if (!inView) return;
+
     // Render scene
     this.renderer.resetState();
     this.renderer.render(this.scene, this.camera);
+
+    // Keep frames coming while something moves
+    if (animating) this.map.triggerRepaint();
   }
 };
 
@@ -1920,6 +6451,291 @@ map.on('style.load', () => {
   map.addLayer(customLayer);
 });
 
+// ============= PLACEMENT EDITOR =============
+// Hidden developer tool (?edit=models) to position 3D placements and export them for the CMS feed
+const placementEditor = {
+  state: null, // Selected placement state from customLayer.placementStates
+  helper: null,
+  dragging: false
+};
+
+/**
+ * Check if the placement editor is requested
+ */
+function isPlacementEditMode() {
+  return new URLSearchParams(window.location.search).get("edit") === "models";
+}
+
+/**
+ * Setup the editor panel and map handlers
+ */
+function setupPlacementEditor() {
+  const panel = document.createElement("div");
+  panel.className = "placement-editor";
+  document.body.appendChild(panel);
+  
+  // Select by clicking a model, drag the selected one
+  map.on("click", event => {
+    if (placementEditor.dragging) return;
+    const object = customLayer.pickObject(event.point, customLayer.placements);
+    const state = object && customLayer.placementStates.find(item => item.object === object);
+    if (state) selectPlacement(state);
+  });
+  
+  map.on("mousedown", event => {
+    const state = placementEditor.state;
+    if (!state || !state.object || customLayer.pickObject(event.point, [state.object]) !== state.object) return;
+    
+    // Keeps the map from panning during this gesture
+    event.preventDefault();
+    placementEditor.dragging = true;
+    map.getCanvas().style.cursor = "move";
+  });
+  
+  map.on("mousemove", event => {
+    if (!placementEditor.dragging) return;
+    const config = placementEditor.state.config;
+    const [lat, lng] = config.origin;
+    config.origin = [event.lngLat.lat, event.lngLat.lng];
+    
+    // Declared footprints are absolute lng/lat, move them along with the placement
+    if (config.footprint) {
+      config.footprint = config.footprint.map(([pointLng, pointLat]) => [
+        pointLng + event.lngLat.lng - lng,
+        pointLat + event.lngLat.lat - lat
+      ]);
+    }
+    applyPlacementEdit();
+  });
+  
+  map.on("mouseup", () => {
+    if (!placementEditor.dragging) return;
+    // Let the click that ends the drag pass before selecting again
+    setTimeout(() => { placementEditor.dragging = false; }, 0);
+    map.getCanvas().style.cursor = "";
+  });
+  
+  panel.addEventListener("input", event => {
+    const { name, value } = event.target;
+    const state = placementEditor.state;
+    
+    if (name === "select") {
+      if (value !== "") selectPlacement(customLayer.placementStates[parseInt(value, 10)]);
+      return;
+    }
+    
+    if (!state || !name) return;
+    
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return;
+    
+    const axis = ["rotationX", "rotation", "rotationZ"].indexOf(name);
+    if (axis !== -1) {
+      state.config.rotate = state.config.rotate.map((angle, index) => (index === axis ? number * Math.PI / 180 : angle));
+    }
+    if (name === "scale") state.config.scale = number;
+    if (name === "altitude") state.config.altitude = number;
+    applyPlacementEdit();
+  });
+  
+  panel.addEventListener("click", event => {
+    if (event.target.closest(".placement-editor-export")) exportPlacements();
+  });
+  
+  renderPlacementEditor();
+}
+
+/**
+ * Select a placement and fly to it
+ */
+function selectPlacement(state) {
+  placementEditor.state = state;
+  
+  if (placementEditor.helper) {
+    customLayer.scene.remove(placementEditor.helper);
+    placementEditor.helper = null;
+  }
+  
+  const [lat, lng] = state.config.origin;
+  map.flyTo({ center: [lng, lat], zoom: Math.max(map.getZoom(), 17) });
+  
+  applyPlacementEdit();
+}
+
+/**
+ * Rebuild the selection box when the selected placement swapped its object (LOD swap, reload or unload)
+ */
+function refreshPlacementHelper(state) {
+  if (!placementEditor.state || placementEditor.state !== state) return;
+  
+  if (placementEditor.helper) {
+    customLayer.scene.remove(placementEditor.helper);
+    placementEditor.helper.geometry.dispose();
+    placementEditor.helper = null;
+  }
+  
+  if (state.object) {
+    applyPlacementEdit();
+  } else {
+    renderPlacementEditor(true);
+    map.triggerRepaint();
+  }
+}
+
+/**
+ * Apply the edited config to the loaded object and refresh the panel
+ */
+function applyPlacementEdit() {
+  const state = placementEditor.state;
+  const { config, object } = state;
+  
+  if (object) {
+    const [lat, lng] = config.origin;
+    const mercatorCoord = mapboxgl.MercatorCoordinate.fromLngLat([lng, lat], config.altitude);
+    const meterScale = config.type === "model" ? mercatorCoord.meterInMercatorCoordinateUnits() : 1;
+    
+    object.userData.transform = {
+      translateX: mercatorCoord.x,
+      translateY: mercatorCoord.y,
+      translateZ: mercatorCoord.z,
+      rotate: config.rotate,
+      scale: meterScale * (config.scale || 1)
+    };
+    customLayer.updatePlacementMatrix(object);
+    customLayer.updateFootprint(object);
+    customLayer.updateShadowGround();
+    
+    // Selection box
+    if (!placementEditor.helper) {
+      placementEditor.helper = new THREE.BoxHelper(object, 0x4B83F2);
+      customLayer.scene.add(placementEditor.helper);
+    }
+    placementEditor.helper.update();
+    placementEditor.helper.updateMatrixWorld(true);
+    map.triggerRepaint();
+  }
+  
+  renderPlacementEditor();
+}
+
+/**
+ * Render the editor panel with the live values of the selected placement; rebuild redraws
+ * it completely, e.g. after a language switch
+ */
+function renderPlacementEditor(rebuild = false) {
+  const panel = document.querySelector(".placement-editor");
+  if (!panel) return;
+  
+  const states = customLayer.placementStates || [];
+  const state = placementEditor.state;
+  const config = state && state.config;
+  const toDegrees = angle => Math.round(angle * 180 / Math.PI * 10) / 10;
+  
+  // Sliders are kept while dragging them, only the values update
+  const fields = config && {
+    rotationX: toDegrees(config.rotate[0]),
+    rotation: toDegrees(config.rotate[1]),
+    rotationZ: toDegrees(config.rotate[2]),
+    scale: config.scale || 1,
+    altitude: config.altitude
+  };
+  
+  if (!rebuild && fields && panel.querySelector("[name='rotation']")) {
+    Object.entries(fields).forEach(([name, value]) => {
+      panel.querySelectorAll(`[name='${name}']`).forEach(input => {
+        if (input !== document.activeElement) input.value = value;
+      });
+      panel.querySelector(`[data-value='${name}']`).textContent = value;
+    });
+    panel.querySelector(".placement-editor-origin").textContent = config.origin.map(value => value.toFixed(7)).join(", ");
+    return;
+  }
+  
+  panel.innerHTML = `
+    <strong>${t("editor.title")}</strong>
+    <select name="select">
+      <option value="">${t("editor.choose")}</option>
+      ${states.map((item, index) => `
+        <option value="${index}" ${item === state ? "selected" : ""}>${item.config.id} (${item.config.type})</option>
+      `).join("")}
+    </select>
+    ${config ? `
+      <p class="placement-editor-hint">${t(state.object ? "editor.hint" : "editor.hintNotLoaded")}</p>
+      <div class="placement-editor-row">${t("editor.position")} <span class="placement-editor-origin">${config.origin.map(value => value.toFixed(7)).join(", ")}</span></div>
+      <label class="placement-editor-row">${t("editor.rotation")} <span data-value="rotation">${fields.rotation}</span>
+        <input type="range" name="rotation" min="-180" max="180" step="0.5" value="${fields.rotation}">
+      </label>
+      <label class="placement-editor-row">${t("editor.rotationX")} <span data-value="rotationX">${fields.rotationX}</span>
+        <input type="range" name="rotationX" min="-180" max="180" step="0.5" value="${fields.rotationX}">
+      </label>
+      <label class="placement-editor-row">${t("editor.rotationZ")} <span data-value="rotationZ">${fields.rotationZ}</span>
+        <input type="range" name="rotationZ" min="-180" max="180" step="0.5" value="${fields.rotationZ}">
+      </label>
+      <label class="placement-editor-row">${t("editor.scale")} <span data-value="scale">${fields.scale}</span>
+        <input type="range" name="scale" min="0.05" max="5" step="0.01" value="${fields.scale}">
+      </label>
+      <label class="placement-editor-row">${t("editor.altitude")} <span data-value="altitude">${fields.altitude}</span>
+        <input type="number" name="altitude" step="0.1" value="${fields.altitude}">
+      </label>
+    ` : ""}
+    <button class="placement-editor-export">${t("editor.export")}</button>
+  `;
+}
+
+/**
+ * Placement as a record with the CMS field names, the format of the JSON feed
+ */
+function createModelRecord(config) {
+  const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+  
+  return {
+    model_id: config.id,
+    model_type: config.type,
+    model_url: config.url,
+    model_latitude: round(config.origin[0], 8),
+    model_longitude: round(config.origin[1], 8),
+    model_altitude: round(config.altitude, 2),
+    model_rotation: round(config.rotate[1] * 180 / Math.PI, 2),
+    model_rotation_x: round(config.rotate[0] * 180 / Math.PI, 2),
+    model_rotation_z: round(config.rotate[2] * 180 / Math.PI, 2),
+    model_scale: round(config.scale || 1, 3),
+    model_width: config.width == null ? null : config.width,
+    model_height: config.height == null ? null : config.height,
+    model_min_zoom: config.minZoom == null ? null : config.minZoom,
+    model_max_zoom: config.maxZoom == null ? null : config.maxZoom,
+    model_location: config.locationId || "",
+    model_lods: (config.lods || []).map(lod => `${lod.minZoom} ${lod.url}`).join("\n"),
+    model_animation: config.animation || "",
+    model_footprint: config.footprint ? JSON.stringify(config.footprint) : ""
+  };
+}
+
+/**
+ * Copy all placements as JSON and download them as a file
+ */
+async function exportPlacements() {
+  const json = JSON.stringify(customLayer.placementStates.map(state => createModelRecord(state.config)), null, 2);
+  
+  try {
+    await navigator.clipboard.writeText(json);
+    geolocationManager.showNotification(t("editor.copied"), "info");
+  } catch (error) {
+    console.warn("Clipboard not available:", error);
+  }
+  
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  link.download = "placements.json";
+  link.click();
+  
+  // Revoking right away can cancel the download in Safari and Firefox
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+if (isPlacementEditMode()) {
+  map.on("load", setupPlacementEditor);
+}
+
 // Complete POI filter and interaction code
 // Add this to your existing code
 